@@ -0,0 +1,130 @@
+"use strict"
+
+/**
+   Shows where a client and the server disagreed in a desync report
+   (see server.js for how those get saved).
+
+   node desyncdiff.js desyncs/desync_<...>.json
+
+   Prints the differing paths through the game state, first difference
+   first, then any differences in controller status, then any frames whose
+   events the two sides saw differently. Differing events mean the network
+   layer lost or altered something; identical events with differing states
+   mean the playset isn't deterministic.
+*/
+
+const fs=require('fs');
+const server=require('./server.js');
+
+const MAX_DIFFERENCES_SHOWN=20;
+
+function main(args) {
+ if(args.length!=1) {
+  console.error("usage: node desyncdiff.js <desync report file>");
+  return 2;
+ }
+ var report=JSON.parse(fs.readFileSync(args[0],"utf8"));
+ console.log("instance "+report.n+" ("+report.p+"), frame "+report.f+
+	     ", user "+report.u);
+ if(!report.server) {
+  console.log("the server no longer had its state for this frame when "+
+	      "the report arrived; only the client side was saved");
+  return 1;
+ }
+ console.log("client hash "+report.client.h+", server hash "+report.server.h);
+ if(!("g" in report.client)) {
+  console.log("the client's state was too large to upload, so only its "+
+	      "hash was saved");
+  return 1;
+ }
+ server.loadPlaysets();
+ var playset=server.getPlayset(report.p);
+ var deserialize=playset?
+     function(g) { return playset.deserializeGameState(g); }:JSON.parse;
+
+ var differences=[];
+ diffValues("state",deserialize(report.client.g),
+	    deserialize(report.server.g),differences);
+ diffValues("controllerStatus",report.client.x,report.server.x,differences);
+ diffEvents(report.client.e||[],report.server.e||[],differences);
+ if(!differences.length) {
+  console.log("no differences found in state, controller status or events");
+ }
+ for(var i=0;i<differences.length && i<MAX_DIFFERENCES_SHOWN;++i) {
+  console.log(differences[i]);
+ }
+ if(differences.length>MAX_DIFFERENCES_SHOWN) {
+  console.log("...and "+(differences.length-MAX_DIFFERENCES_SHOWN)+" more");
+ }
+ return 0;
+}
+
+function diffValues(path,client,server,differences) {
+ if(client!==null && server!==null &&
+    typeof(client)=="object" && typeof(server)=="object" &&
+    Array.isArray(client)==Array.isArray(server)) {
+  var keys={};
+  for(var k in client) { keys[k]=true; }
+  for(var k in server) { keys[k]=true; }
+  var sortedKeys=Object.getOwnPropertyNames(keys).sort();
+  for(var i in sortedKeys) {
+   var k=sortedKeys[i];
+   var childPath=path+"."+k;
+   if(!(k in client)) {
+    differences.push(childPath+": missing on client, server has "+
+		     JSON.stringify(server[k]));
+   }
+   else if(!(k in server)) {
+    differences.push(childPath+": client has "+JSON.stringify(client[k])+
+		     ", missing on server");
+   }
+   else {
+    diffValues(childPath,client[k],server[k],differences);
+   }
+  }
+ }
+ else if(!Object.is(client,server)) {
+  differences.push(path+": client "+JSON.stringify(client)+
+		   ", server "+JSON.stringify(server));
+ }
+}
+
+function diffEvents(clientFrames,serverFrames,differences) {
+ // order within a frame isn't meaningful until it's sorted, and the client
+ // keeps its own bookkeeping fields on events, so compare canonical strings
+ function index(frames) {
+  var byFrame={};
+  for(var i in frames) {
+   byFrame[frames[i].f]=frames[i].e.map(canonicalEventString).sort();
+  }
+  return byFrame;
+ }
+ var client=index(clientFrames), server=index(serverFrames);
+ var frameNumbers={};
+ for(var f in client) { frameNumbers[f]=true; }
+ for(var f in server) { frameNumbers[f]=true; }
+ var sortedFrames=Object.getOwnPropertyNames(frameNumbers).sort(
+  function(a,b) { return a-b; });
+ for(var i in sortedFrames) {
+  var f=sortedFrames[i];
+  var c=client[f]||[], s=server[f]||[];
+  if(c.join("\n")!=s.join("\n")) {
+   differences.push("events of frame "+f+": client "+
+		    (c.length?c.join(" "):"none")+", server "+
+		    (s.length?s.join(" "):"none"));
+  }
+ }
+}
+
+function canonicalEventString(event) {
+ var fields=["k","c","f","u","d","e","o","a","s","i","r","h","v","n","b"];
+ var o={};
+ for(var i in fields) {
+  if(fields[i] in event) {
+   o[fields[i]]=event[fields[i]];
+  }
+ }
+ return JSON.stringify(o);
+}
+
+process.exitCode=main(process.argv.slice(2));
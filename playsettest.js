@@ -0,0 +1,450 @@
+"use strict"
+
+/**
+   Headless playset tester, for catching playset bugs before a player sees
+   "Desynchronized from server game state".
+
+   node playsettest.js <playsetName> [script.jsonl] [--fuzz=frames]
+                       [--seed=number] [--quiet]
+
+   With a script, its events are fed to the playset and a hash is printed
+   for every frame. The script is in the replay file format described in
+   server.js, so a recorded replay can be used as is; for a hand-written
+   script the header's g can be left out to use the playset's
+   .createGameState(), and f and x default to 1 and {}.
+
+   Without a script, or with --fuzz, random controllers connect, change
+   inputs, send commands with random arguments, and disconnect, for the
+   given number of frames (default 1000). The seed is printed so a failure
+   can be reproduced.
+
+   Every frame, whichever way its events came, is checked for:
+   - advanceGameState not throwing
+   - advancing a copy of the state giving the same hash as advancing the
+     original (catches aliasing between copies, and nondeterminism)
+   - serialize/deserialize and copyGameState keeping the hash unchanged
+   - for a playset with getControllerView, a spectator's view advanced with
+     the events as a spectator sees them matching the view of the advanced
+     full state (the contract that keeps hidden-information clients in sync)
+   - for a playset with getUserData, calling it for every controller not
+     changing the state
+   The first failure is reported and the exit status is 1.
+
+   Fuzzing also plays the server's part for secrets, issuing and revealing
+   them as the playset asks, and addresses some commands to nobody (and
+   hidden commands always, as the server does). For a turn-based playset it
+   sends no inputs, and now and then lets a turn deadline pass. Some
+   connects come with entrance strings, and move requests are randomly
+   refused or carried out with a disconnect. Connects carry random values,
+   of any JSON type, for the keys in getUserDataKeys, and so do inputs for
+   a playset whose areInputsStructured returns true.
+*/
+
+const fs=require('fs');
+const server=require('./server.js');
+
+const DEFAULT_FUZZ_FRAMES=1000;
+const FUZZ_MAX_CONTROLLERS=8;
+const FUZZ_CONNECT_CHANCE=0.05;
+const FUZZ_DISCONNECT_CHANCE=0.01;
+const FUZZ_INPUT_CHANGE_CHANCE=0.3;
+const FUZZ_COMMAND_CHANCE=0.1;
+const FUZZ_MAX_STRING_LENGTH=64;
+const FUZZ_MAX_LENGTH_CHANCE=0.05;
+const FUZZ_ADDRESSED_COMMAND_CHANCE=0.5;
+const FUZZ_TURN_DEADLINE_CHANCE=0.2;
+const FUZZ_ENTRANCE_CHANCE=0.2;
+const FUZZ_MOVE_REFUSAL_CHANCE=0.5;
+const FUZZ_USER_DATA_CHANCE=0.7;
+const FUZZ_MAX_USER_DATA_DEPTH=2;
+const FUZZ_MAX_INPUT_DEPTH=2;
+// controller IDs start at 1, so this is never a player
+const SPECTATOR_ID=0;
+const FUZZ_CHARACTERS=
+      " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ"+
+      "[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~é☃😀";
+
+var playset;
+var fuzzSeed;
+
+function main(args) {
+ var options={};
+ var positional=[];
+ for(var i in args) {
+  var match=/^--([a-z]+)(=(.*))?$/.exec(args[i]);
+  if(match) {
+   options[match[1]]=(match[3]===undefined)?true:match[3];
+  }
+  else {
+   positional.push(args[i]);
+  }
+ }
+ if(positional.length<1) {
+  console.error("usage: node playsettest.js <playsetName> [script.jsonl]"+
+		" [--fuzz=frames] [--seed=number] [--quiet]");
+  return 2;
+ }
+ server.loadPlaysets();
+ playset=server.getPlayset(positional[0]);
+ if(!playset) {
+  console.error("no such playset: "+positional[0]);
+  return 2;
+ }
+ if(!playset.copyGameState) {
+  // same default as the client's
+  playset.copyGameState=function(state) {
+   return this.deserializeGameState(this.serializeGameState(state));
+  }
+ }
+ var quiet=!!options.quiet;
+ var ok=true;
+ if(positional.length>1) {
+  ok=runScript(fs.readFileSync(positional[1],"utf8"),quiet);
+ }
+ if(ok && (positional.length==1 || options.fuzz)) {
+  var frames=(options.fuzz && options.fuzz!==true)?
+      options.fuzz|0:DEFAULT_FUZZ_FRAMES;
+  fuzzSeed=("seed" in options)?options.seed|0:
+   Math.floor(Math.random()*2147483647);
+  console.log("fuzzing "+frames+" frames with --seed="+fuzzSeed);
+  ok=runFuzz(frames,quiet);
+ }
+ console.log(ok?"passed":"FAILED");
+ return ok?0:1;
+}
+
+function hashState(state) {
+ if(playset.hashGameState) {
+  return playset.hashGameState(state);
+ }
+ // playset opted out of hashing, so compare serializations instead
+ return server.defaultGameStateHash(playset.serializeGameState(state));
+}
+
+function fail(frameNumber,reason,detail) {
+ console.log("FAIL at frame "+frameNumber+": "+reason);
+ if(detail!==undefined) {
+  console.log(detail);
+ }
+ return false;
+}
+
+function makeRun(state,controllerStatus,frameNumber) {
+ var run={
+  state:state,
+  controllerStatus:controllerStatus,
+  frameNumber:frameNumber,
+ }
+ if(playset.getControllerView) {
+  // what a spectating client would be holding
+  var instance={playset:playset};
+  run.viewState=playset.getControllerView(state,SPECTATOR_ID);
+  run.viewStatus=JSON.parse(JSON.stringify(server.getControllerStatusView(
+   instance,controllerStatus,SPECTATOR_ID)));
+ }
+ return run;
+}
+
+function runFrame(run,events,quiet) {
+ // advances run.state and run.controllerStatus from run.frameNumber,
+ // checking everything along the way; returns false on failure
+ var viewEvents=events.map(function(event) {
+  return JSON.parse(JSON.stringify(
+   server.getEventView({playset:playset},event,SPECTATOR_ID)));
+ });
+ var copyState=playset.copyGameState(run.state);
+ var copyStatus=JSON.parse(JSON.stringify(run.controllerStatus));
+ var copyEvents=JSON.parse(JSON.stringify(events));
+ try {
+  advance(run.state,run.controllerStatus,events);
+ }
+ catch(e) {
+  return fail(run.frameNumber,"advanceGameState threw",e.stack);
+ }
+ try {
+  advance(copyState,copyStatus,copyEvents);
+ }
+ catch(e) {
+  return fail(run.frameNumber,"advanceGameState threw on a copied state",
+	      e.stack);
+ }
+ ++run.frameNumber;
+ var hash=hashState(run.state);
+ if(hashState(copyState)!=hash) {
+  return fail(run.frameNumber,"advancing a copy gave a different state"+
+	      " (aliasing between copies, or nondeterminism)");
+ }
+ var serialized=playset.serializeGameState(run.state);
+ if(hashState(playset.deserializeGameState(serialized))!=hash) {
+  return fail(run.frameNumber,"serialize/deserialize changed the hash",
+	      serialized);
+ }
+ if(hashState(playset.copyGameState(run.state))!=hash) {
+  return fail(run.frameNumber,"copyGameState changed the hash",serialized);
+ }
+ if(playset.getUserData) {
+  for(var c in run.controllerStatus) {
+   try {
+    playset.getUserData(run.state,+c);
+   }
+   catch(e) {
+    return fail(run.frameNumber,"getUserData threw",e.stack);
+   }
+  }
+  if(hashState(run.state)!=hash) {
+   return fail(run.frameNumber,"getUserData changed the state");
+  }
+ }
+ if(run.viewState) {
+  try {
+   advance(run.viewState,run.viewStatus,viewEvents);
+  }
+  catch(e) {
+   return fail(run.frameNumber,"advanceGameState threw on a spectator's view",
+	       e.stack);
+  }
+  var expectedView=playset.getControllerView(run.state,SPECTATOR_ID);
+  if(hashState(run.viewState)!=hashState(expectedView)) {
+   return fail(run.frameNumber,"a spectator's advanced view doesn't match"+
+	       " the view of the advanced state",
+	       "advanced view: "+playset.serializeGameState(run.viewState)+
+	       "\nview of state: "+playset.serializeGameState(expectedView));
+  }
+ }
+ if(!quiet) {
+  console.log(run.frameNumber+" "+hash);
+ }
+ return true;
+}
+
+function advance(state,controllerStatus,events) {
+ var disconnects=server.advanceGameStateByEvents(playset,state,
+						 controllerStatus,events);
+ for(var i in disconnects) {
+  delete controllerStatus[disconnects[i]];
+ }
+}
+
+function runScript(text,quiet) {
+ var lines=text.split("\n").filter(function(line) { return line.trim(); });
+ var header=JSON.parse(lines[0]);
+ var state;
+ if("g" in header) {
+  state=(typeof(header.g)=="string")?
+   playset.deserializeGameState(header.g):header.g;
+ }
+ else if(playset.createGameState) {
+  state=playset.createGameState();
+ }
+ else {
+  console.error("script has no g and playset has no createGameState");
+  return false;
+ }
+ var run=makeRun(state,header.x||{},("f" in header)?header.f:1);
+ var events={};
+ var lastFrame=run.frameNumber;
+ for(var i=1;i<lines.length;++i) {
+  var line=JSON.parse(lines[i]);
+  if(line.e) {
+   events[line.f]=line.e;
+   lastFrame=Math.max(lastFrame,line.f+1);
+  }
+  else {
+   lastFrame=Math.max(lastFrame,line.f);
+  }
+ }
+ while(run.frameNumber<lastFrame) {
+  if(!runFrame(run,events[run.frameNumber]||[],quiet)) {
+   return false;
+  }
+ }
+ return true;
+}
+
+function fuzzRandom() {
+ // mulberry32, so a seed reproduces a run exactly
+ fuzzSeed=(fuzzSeed+0x6D2B79F5)|0;
+ var t=fuzzSeed;
+ t=Math.imul(t^(t>>>15),t|1);
+ t^=t+Math.imul(t^(t>>>7),t|61);
+ return ((t^(t>>>14))>>>0)/4294967296;
+}
+
+function fuzzString(limit) {
+ var length;
+ if(fuzzRandom()<FUZZ_MAX_LENGTH_CHANCE) {
+  length=limit;
+ }
+ else {
+  length=Math.floor(fuzzRandom()*(Math.min(limit,FUZZ_MAX_STRING_LENGTH)+1));
+ }
+ var s="";
+ while(s.length<length) {
+  s+=FUZZ_CHARACTERS[Math.floor(fuzzRandom()*FUZZ_CHARACTERS.length)];
+ }
+ // the lone surrogates this can leave are as legal as anything else a
+ // client could send
+ return s.slice(0,length);
+}
+
+function fuzzUserData() {
+ var bag={};
+ var keys=playset.getUserDataKeys?playset.getUserDataKeys():[];
+ for(var i in keys) {
+  if(fuzzRandom()<FUZZ_USER_DATA_CHANCE) {
+   bag[keys[i]]=fuzzValue(FUZZ_MAX_USER_DATA_DEPTH);
+  }
+ }
+ return bag;
+}
+
+function fuzzValue(depth) {
+ // anything JSON can hold, since a user's data may have been written by
+ // another playset, or an older version of this one
+ var kind=Math.floor(fuzzRandom()*(depth>0?7:5));
+ switch(kind) {
+ case 0: return null;
+ case 1: return fuzzRandom()<0.5;
+ case 2: return Math.floor((fuzzRandom()-0.5)*2000);
+ case 3: return (fuzzRandom()-0.5)*1e12;
+ case 4: return fuzzString(FUZZ_MAX_STRING_LENGTH);
+ case 5:
+  var a=[];
+  for(var n=Math.floor(fuzzRandom()*4);n>0;--n) { a.push(fuzzValue(depth-1)); }
+  return a;
+ default:
+  var o={};
+  for(var n=Math.floor(fuzzRandom()*4);n>0;--n) {
+   o[fuzzString(8)]=fuzzValue(depth-1);
+  }
+  return o;
+ }
+}
+
+function fuzzInput(limit,structured) {
+ if(!structured) {
+  return fuzzString(limit);
+ }
+ // the server lets through anything within the limit
+ var input=fuzzValue(FUZZ_MAX_INPUT_DEPTH);
+ return (JSON.stringify(input).length<=limit)?input:"";
+}
+
+function runFuzz(frames,quiet) {
+ var inputLimit=playset.getInputLengthLimit?
+     playset.getInputLengthLimit():FUZZ_MAX_STRING_LENGTH;
+ var argumentLimit=playset.getArgumentLengthLimit?
+     playset.getArgumentLengthLimit():FUZZ_MAX_STRING_LENGTH;
+ var commandLimits=playset.getCommandLimits?playset.getCommandLimits():{};
+ if(!playset.createGameState) {
+  console.error("fuzzing needs the playset to have createGameState");
+  return false;
+ }
+ var run=makeRun(playset.createGameState(),{},1);
+ var nextControllerID=1;
+ var hiddenCommands=playset.getHiddenCommands?playset.getHiddenCommands():[];
+ var turnBased=!!(playset.isTurnBased && playset.isTurnBased());
+ var structuredInputs=!!(playset.areInputsStructured &&
+			 playset.areInputsStructured());
+ var endFrame=run.frameNumber+frames;
+ while(run.frameNumber<endFrame) {
+  var f=run.frameNumber;
+  var events=[];
+  var connected=Object.getOwnPropertyNames(run.controllerStatus);
+  if(connected.length<FUZZ_MAX_CONTROLLERS &&
+     fuzzRandom()<FUZZ_CONNECT_CHANCE) {
+   var c=nextControllerID++;
+   var connect={k:"c",c:c,f:f,u:"fuzz"+c,d:fuzzString(FUZZ_MAX_STRING_LENGTH)};
+   if(fuzzRandom()<FUZZ_ENTRANCE_CHANCE) {
+    connect.e=fuzzString(FUZZ_MAX_STRING_LENGTH);
+   }
+   connect.b=fuzzUserData();
+   events.push(connect);
+   connected.push(c+"");
+  }
+  for(var i in connected) {
+   var c=connected[i]|0;
+   if(!turnBased && fuzzRandom()<FUZZ_INPUT_CHANGE_CHANCE) {
+    events.push({k:"f",c:c,f:f,i:fuzzInput(inputLimit,structuredInputs)});
+   }
+   var serial=0;
+   for(var command in commandLimits) {
+    if(commandLimits[command]>0 && fuzzRandom()<FUZZ_COMMAND_CHANCE) {
+     var count=1+Math.floor(fuzzRandom()*commandLimits[command]);
+     for(var j=0;j<count;++j) {
+      var event={k:"o",c:c,f:f,o:command,a:fuzzString(argumentLimit),
+		 s:++serial};
+      if(hiddenCommands.indexOf(command)!=-1 ||
+	 fuzzRandom()<FUZZ_ADDRESSED_COMMAND_CHANCE) {
+       event.r=[];
+      }
+      events.push(event);
+     }
+    }
+   }
+   if(fuzzRandom()<FUZZ_DISCONNECT_CHANCE) {
+    events.push({k:"d",c:c,f:f});
+   }
+  }
+  if(turnBased && !events.length && playset.getTurnDeadlineMillis &&
+     typeof(playset.getTurnDeadlineMillis(run.state))=="number" &&
+     fuzzRandom()<FUZZ_TURN_DEADLINE_CHANCE) {
+   // the server only sends these for a frame with nothing else in it
+   events.push({k:"t",f:f});
+  }
+  pushFuzzSecretEvents(run,events);
+  pushFuzzMoveEvents(run,events);
+  if(!runFrame(run,events,quiet)) {
+   console.log("events were: "+JSON.stringify(events));
+   return false;
+  }
+ }
+ return true;
+}
+
+function pushFuzzMoveEvents(run,events) {
+ if(!playset.getMoveRequests) { return; }
+ var requests=playset.getMoveRequests(run.state);
+ for(var i in requests) {
+  var c=requests[i].c|0;
+  var leaving=events.some(function(e) { return e.k=="d" && e.c==c; });
+  if(!(c in run.controllerStatus) || leaving) {
+   continue;
+  }
+  if(fuzzRandom()<FUZZ_MOVE_REFUSAL_CHANCE) {
+   events.push({k:"m",c:c,f:run.frameNumber,n:requests[i].n+"",
+		a:"refused by fuzzing"});
+  }
+  else {
+   events.push({k:"d",c:c,f:run.frameNumber});
+  }
+ }
+}
+
+function pushFuzzSecretEvents(run,events) {
+ // the server would stamp these a little later than this, but the
+ // horizon state would see them the same way
+ var f=run.frameNumber;
+ if(playset.countSecretsWanted) {
+  var wanted=playset.countSecretsWanted(run.state);
+  for(var i=0;i<wanted;++i) {
+   var secret="";
+   while(secret.length<64) {
+    secret+=Math.floor(fuzzRandom()*16).toString(16);
+   }
+   events.push({k:"x",f:f,h:server.getSecretCommitment(secret),v:secret});
+  }
+ }
+ if(playset.getSecretsToReveal) {
+  var reveals=playset.getSecretsToReveal(run.state);
+  for(var i in reveals) {
+   var event={k:"r",f:f,h:reveals[i].h,v:reveals[i].v};
+   if(reveals[i].r) {
+    event.r=reveals[i].r;
+   }
+   events.push(event);
+  }
+ }
+}
+
+process.exitCode=main(process.argv.slice(2));
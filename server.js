@@ -2,41 +2,138 @@
 
 /**
    An instance object contains:
+   .name: instance name
    .pastHorizonFrameNumber: int
    .pastHorizonPerfTime: timestamp
+   .fps: frames per second
+   .pastHorizonFrames: how many frames the past horizon trails the present
+   .futureHorizonFrames: how many frames past the present a client may send
+   .timing: the instance's own frame timing settings, or null to use the
+            playset's (see below)
    .pastHorizonState: a game state
    .pastHorizonControllerStatus: map from id numbers to controller status objects
    .events: map from int to list of events (not necessarily sorted yet)
-   .broadcastControllers: map from id numbers to controllers
+   .broadcastControllers: map from id numbers to controllers (players and
+                          spectators both)
+   .spectatorControllers: map from id numbers to spectator controllers
    .suspended: boolean, if true then pastHorizonPerfTime may be in the distance past
    .advanceTimeout: timeout handle for state advancing
    .playset: a playset
+   .retired: boolean, if true the instance has been removed from instances
+   .record: boolean, if true each unsuspended stretch is recorded to a replay
+   .replayFilename: replay file being written, or null
+   .replayLines: replay lines not yet appended to the file
+   .recentEvents: list of {f:frameNumber, e:[events]} for frames since the
+                  last hash-synced frame, kept for desync reports
+   .hashedFrames: list of the last few hash-synced frames, as
+                  {f:frameNumber, h:hash, g:serializedGameState,
+                  x:controllerStatus, e:recentEvents as of then}
+   .pendingSecretCount: secrets issued that haven't reached the horizon yet
+   .pendingReveals: map from commitments to true, for reveals issued that
+                    haven't reached the horizon yet
+   .turnDeadlineTime: for a turn-based instance, perf time when the current
+                      turn runs out, or null if it doesn't
+   .access: who may join, or null for anyone (see below)
+   .chatHistory: the last few instance chat lines and announcements, as
+                 sent, oldest first
 
-   A controller status object has .u username and .i last known input string (default "")
+   A controller status object has .u username and .i last known input (default "")
 
    A game state object should contain at least a controller-username mapping
    and game information relevant to the connected users, but it is a black box
    to the core server code and only the playset code needs to understand it.
 
    An event contains:
-   .k: "c" connect, "d" disconnect, "o" command, "f" frame
+   .k: "c" connect, "d" disconnect, "o" command, "f" frame,
+       "x" secret issued, "r" secret revealed, "t" turn deadline passed,
+       "m" move refused (these four only come from the server, never from
+       a client)
    .f: int frame number
-   .i: input string when .k=="f"
+   .i: input when .k=="f": a string, or any JSON value for a playset whose
+       .areInputsStructured returns true
    .o: command string when .k=="o"
    .s: for "o" only, positive integer serial, always increasing within a frame
    .c: int controller number (not sent from client to server)
    .u: username when .k=="c" 
+   .e: entrance string when .k=="c", for a controller that was moved here
+       from another instance; null otherwise
    .d: user config string when .k=="c" (mainly for use by client 
        user-management UI and playset ui 'avatar' assignment; is also 
        available to playset game state logic, but be wary of "modeling for
        advantage" customization)
+   .b: when .k=="c", the user's saved data for the keys the playset's
+       .getUserDataKeys lists, as an object; keys the user has nothing
+       saved for are left out
    .t: pong timestamp, only when echoing .k=="f" from client to server
+   .r: for "o", optional list of controller IDs that may see .a; for "r",
+       optional list of controller IDs that may see .v. Anyone else gets
+       the event with that field null. The sender of an "o" always sees it.
+   .h: for "x" and "r", the secret's commitment: hex sha256 of the secret
+   .v: for "x" and "r", the secret itself, a hex string. Never sent to
+       clients for "x"; clients find it out when (if) it's revealed.
+   .n: for "m", the instance the controller asked to move to
+   .a: for "m", why the move was refused (see below)
  
 
    Canonical sort order of events:
-   .k primary, "c"<"o"<"f"<"d"
+   .k primary, "c"<"o"<"f"<"d"<"x"<"r"<"t"<"m"
    .c secondary, ordered as integer not string
    .s tertiary for "o", ordered as integer not string
+   .h tertiary for "x" and "r"
+
+   Hidden information: a playset with .getControllerView sends each client
+   only that view of the game state, in S and as the basis for its F hash,
+   so clients never hold anything their controller isn't meant to see.
+   Commands can be addressed (.r above), or made always hidden by the
+   playset's .getHiddenCommands, and a playset with .areInputsHidden
+   returning true has every controller's inputs relayed to the others
+   as "". Secrets are random values for the server's state that the
+   clients know only a commitment to until the playset reveals them; a
+   revealed secret is checked against its commitment by each client. See
+   web/playsets.js for the playset side of all this.
+
+   Input prediction: a controller's input for a frame is that of its "f"
+   event for the frame before, if it sent one, and otherwise the playset's
+   .predictNextInput of its input for the frame before (by default, the
+   same input again); a controller that just connected has "". The server
+   stores every "f" event it accepts, but relays one to the other clients
+   only when its input differs from what they'd predict without it; the
+   sender always gets the echo.
+
+   Turn-based instances, whose playset's .isTurnBased returns true, don't
+   tick in real time. Their past horizon is also their present: the state
+   advances one frame as soon as an event arrives to advance it with, or
+   when the playset's .getTurnDeadlineMillis (counted from the last advance)
+   runs out, with a "t" event. Clients don't predict, don't send "f" events
+   and keep their connection alive with "p" instead; their commands are
+   stamped with the frame number they last heard about and restamped by the
+   server for the frame it's about to compute. Every advance is broadcast
+   as an F, with a hash if the playset hashes. Since each command can
+   advance a frame, and the per-frame command limits start over with it,
+   a controller's commands there also come out of a token bucket: it
+   starts with config.turnCommandBurstSize (default 10) tokens, a command
+   spends one, and that one comes back config.turnCommandWaitMillis
+   (default 1000) later; a command with no token left gets RATE_LIMITED.
+
+   Moving between instances: after each frame at the past horizon, a
+   playset with .getMoveRequests can ask for controllers to be moved to
+   other instances, each with an entrance string. The destination's
+   .validateEntrance gets to turn a controller away; if it does, or the
+   destination doesn't exist, an "m" event tells the source instance. A
+   controller that's let through gets disconnected from the source as
+   usual, and its socket gets a new controller that waits in the inbox like
+   a reconnecting login would, then connects to the destination with the
+   entrance string on its "c" event. The client is sent M as soon as the
+   move starts, and answers it with m, so the server can tell what the
+   client sent before it knew about the move (and ignores that).
+
+   Per-user data: a playset with .getUserDataKeys gets those keys of the
+   user's .data on each "c" event (.b above). After each frame at the past
+   horizon, its .getUserData says what each controller's values are now,
+   and any declared key that changed is written back to the user and saved
+   with the rest of the server state. A controller's last write-back is
+   the frame before its disconnect, so it sees its own changes again on
+   its next connect anywhere, including a move's destination.
 
    A controller object contains (mostly not until connection is established):
    .socket: websocket object (which has .okayController injected into it to point back)
@@ -46,68 +143,345 @@
    .instanceName: instance name
    .playsetName: instance.playset name
    .minFrameNumber: int, events stamped earlier than this are out-of-order
+   .bufferedEventCount, .bufferedEventBytes: how many of this controller's
+     frame and command events are waiting in .instance.events for the past
+     horizon, and roughly how much memory they take
    .timeout: handle to a cancelable timeout
    .lastCommandNumber: last command serial number for this frame, or 0
+   .turnCommandTokens: commands this controller may still send right now
+     to a turn-based instance
+   .lastFrameInput, .lastFrameInputFrame: the input of this controller's
+     latest "f" event, and its frame number
+   .unansweredHashFrame: frame number of the latest F with a hash sent to
+     this controller, or null once a desync report or an S answers it;
+     a desync report about anything else is ignored
+   .moveRefusalPending: true from a refused move until the "m" event
+                        reaches the past horizon, so the playset's request
+                        isn't refused again before it knows
+   .entrance: entrance string, for a controller created by a move
+   .moving: true for a controller created by a move, until it's live and
+            the client has acknowledged the move
+   .moveAcknowledged: the client has answered M with m
+   .lifecycle: "new", then "live" (or "inbox" until it can be live), then
+               "outbox" after disconnecting until the disconnect event
+               reaches the past horizon; or "spectator" for a read-only
+               login, which has no game presence and never sends events.
+               Spectators don't keep an instance from suspending; when
+               it unsuspends they get a fresh snapshot, since the instance's
+               frame timing has changed under them.
 
    A user object [not to be confused with a controller object] contains:
-   .password ("hashed", though the hash function may sometimes be a no-op)
+   .password: "scrypt$N$r$p$saltHex$keyHex", or a legacy "saltHex#sha256Hex"
+              that gets upgraded on the next successful password check.
+              Hashing runs off the event loop, so a message that carries a
+              password is handled once its hash is done, and the same
+              controller's later messages wait behind it.
    .username: string, limited to ASCII
    .config: unicode string available to playset via connect events,
             server-validated only for length and not for content
    .selfServeAddress: if present, this user was created via self-serve from
                       this address
    .admin: boolean
+   .ban: if present, {until:Date.now() time or null for never, reason}; the
+         user can't log in or make API calls until it runs out
+   .mute: if present, like .ban, but only stops the user's global chat
+   .data: object holding values playsets keep for this user between
+          sessions, keyed by whatever the playsets' .getUserDataKeys list;
+          keys are shared between playsets that list the same one
    
    Server-to-client network messages:
-   {k:"E", e:errorString} (error, hanging up)
-   {k:"D", d:completionString} (successful api call, hanging up)
-   {k:"U", l:[instanceName... ordered], n:defaultInstanceName} (prelogin)
+   {k:"E", c:errorCode, e:errorString, x:details} (error, hanging up)
+   {k:"D", c:resultCode, d:completionString, x:details} (successful api
+    call, hanging up)
+   x, an object, only for the codes below that have details
+   {k:"U", l:[instanceName... ordered], n:defaultInstanceName,
+    a:[accessStatus... same order]} (prelogin; each status is "" if open,
+    "locked" for admins or listed users only, "full", or "password")
    any instance-controller event, which may additionally have "t" attached as a timing pong
-   {k:"W", t:timingPong} (login wait, with initial pong time)
+   {k:"W", t:timingPong, s:sessionToken} (login wait, with initial pong time;
+                                         s only if logged in by password)
    {k:"S", g:serializedGameState,  p:playsetName,
-   x:{controllerID:{'u':username,'i':inputString}... },
+   x:{controllerID:{'u':username,'i':input}... },
    e:[instancecontrollerevents... unsorted],
    c:controllerID, f:frameNumberOfSerializedState, 
-   m:initialChatTokenCount, l:chatMessageMaxLength, r:fps} (login)
+   m:{channel:initialChatTokenCount...}, l:chatMessageMaxLength,
+   r:{f:fps, p:pastHorizonFrames, q:futureHorizonFrames},
+   v:isSpectator, t:timingPong, d:turnMillisLeft, n:instanceName,
+   b:{m:maxMessageBytes, h:maxDesyncReportBytes},
+   h:[recent global and instance chat lines and announcements, as they
+   were sent, oldest first]} (login,
+   or resync or move with t included; d only for a turn-based instance
+   whose turn has a deadline)
+   {k:"M", n:instanceName} (this controller is being moved to another
+    instance; its S follows when it's let in)
    {k:"F", f: frameNumber} (frame horizon has advanced)
    {k:"F", f: frameNumber, h: hash} (above, and client should sync-test)
+   either F may have d:turnMillisLeft, as in S
    {k:"g",c:controllerID,u:username,m:message} (global chat)
-   {k:"G", n:messageCount} (granting client permission to send n 
-                            global chat messages; this adds to previous
-			    unspent permissions if any)
+   {k:"i",c:controllerID,u:username,m:message} (chat in this instance)
+   {k:"w",c:controllerID,u:username,m:message,t:toUsername} (whisper, sent
+    to the recipient and back to the sender)
+   {k:"a",u:adminUsername,m:message,n:instanceName} (announcement; n only
+    if it went to just this instance)
+   all four also have s:serverTimestamp, Date.now() when sent, and
+   d:profileCode, the first 3 characters of the sender's config, for the
+   client's get3ProfileColors
+   {k:"G", h:channel} (granting client permission to send one more chat
+                       message on that channel, "g", "i" or "w"; this adds
+		       to previous unspent permissions if any)
+   {k:"N", c:noticeCode, m:noticeString} (something the user should see,
+    like their chat message not going out because they're muted; c is
+    "MUTED" or "USER_OFFLINE")
 
    client-to-server network messages for normal login:
    "o" or "f" instance-controller events
    array of "o" or "f" instance-controller events
+   (a message can't be over MAX_INBOUND_MESSAGE_LENGTH bytes of UTF-8, as
+   S tells clients in b.m, or the sender is disconnected with TOO_LARGE;
+   a client with more events than fit sends several arrays in order)
    {k:"l", u:username, p:password, n:instanceName}   
-   {k:"g",m:message}
+   {k:"l", u:username, s:sessionToken, n:instanceName}   
+   either login may have v:1 to spectate instead of play, and j:joinPassword
+   for an instance that has one
+   either login may also have r:1 (reconnecting), in which case an existing
+   live or waiting controller for the same user is kicked rather than the
+   login being refused; the client uses this after its socket drops, since
+   the server may not have noticed the old socket is dead yet
+   {k:"g",m:message} (global chat)
+   {k:"i",m:message} (chat in the client's instance)
+   {k:"w",m:message,t:toUsername} (whisper to whichever of the user's
+    controllers are in an instance)
+   {k:"p"} keepalive, for spectators and turn-based players who don't
+   otherwise send anything
+   {k:"m"} acknowledging an M; whatever comes after it is for the new
+   instance
+   {k:"h", f:frameNumber, h:clientHash, g:serializedGameState,
+    x:controllerStatus, e:[{f:frameNumber, e:[events]}...]} (desync report,
+    sent instead of quietly hanging up when an F hash doesn't match; the
+    client's state and the events it applied since its last good hash;
+    this may be up to b.h bytes, and a client whose report would be
+    longer leaves out g, x and e)
 
    client-to-server network messages for self-serve API calls:
    {k:"prelogin"} no credentials needed, return info for login page
    {k:"selfServeCreateUser",u:username, p:password, d:config}
+   {k:"startSession",u:username, p:password} (completion string is a
+    session token)
    {k:"changeMyPassword",u:username, p:password, n:newPassword, d:config}
+    (always needs the password, and revokes all of the user's sessions)
+   {k:"revokeMySessions",u:username, p:password}
    {k:"getMyConfig",u:username, p:password} (completion string is the config)
    {k:"setMyConfig",u:username, p:password, d:config}
 
+   Every API call and login that takes u and p, except changeMyPassword,
+   alternatively takes u and s:sessionToken. Sessions last for 
+   config.sessionLifetimeMillis (default 1 day) or until revoked, and only
+   live in memory, so a server restart revokes them all.
+
    client-to-server network messages for admin API calls:
    {k:"dirtyShutdown",u:username, p:password, r:reason} (only forensic save)
    {k:"cleanShutdown",u:username, p:password, r:reason} (save for next startup)
-   (later, admin versions of the self-serve operations)
+   {k:"adminListUsers",u:username, p:password} (completion string is a JSON
+    list of {u:username, a:isAdmin, s:selfServeAddress if any,
+    b:true if banned, m:true if muted}, sorted)
+   {k:"adminCreateUser",u:username, p:password, t:targetUsername,
+    n:newPassword, d:config, a:isAdmin} (no self-serve limit applies)
+   {k:"adminDeleteUser",u:username, p:password, t:targetUsername}
+   {k:"adminResetPassword",u:username, p:password, t:targetUsername,
+    n:newPassword}
+   {k:"adminGetUserConfig",u:username, p:password, t:targetUsername}
+    (completion string is the config)
+   {k:"adminSetUserConfig",u:username, p:password, t:targetUsername, d:config}
+   {k:"adminSetAdmin",u:username, p:password, t:targetUsername, a:isAdmin}
+   {k:"adminRevokeSessions",u:username, p:password, t:targetUsername}
+   {k:"adminListInstances",u:username, p:password} (completion string is a
+    JSON list of {n:instanceName, s:playsetName, c:playerCount,
+    v:spectatorCount, b:bufferedEventBytes}, the last being roughly how
+    much memory the players' events waiting for the past horizon take)
+   {k:"adminCreateInstance",u:username, p:password, n:instanceName,
+    y:playsetName, g:serializedGameState, t:frameTiming} (y rather than s,
+    which would be taken for a session token)
+   {k:"adminResetInstance",u:username, p:password, n:instanceName,
+    g:serializedGameState, r:reason}
+   {k:"adminRetireInstance",u:username, p:password, n:instanceName, r:reason}
+   {k:"adminSetInstanceRecording",u:username, p:password, n:instanceName,
+    a:isRecording}
+   {k:"adminGetInstanceAccess",u:username, p:password, n:instanceName}
+    (completion string is the access rules as JSON, or null)
+   {k:"adminSetInstanceAccess",u:username, p:password, n:instanceName,
+    a:accessRules or null for none} (anyone in the instance that the new
+    rules shut out is kicked)
+   {k:"adminKick",u:username, p:password, t:targetUsername, r:reason}
+   {k:"adminBan",u:username, p:password, t:targetUsername, r:reason,
+    x:durationMillis} (also kicks, and revokes the target's sessions)
+   {k:"adminUnban",u:username, p:password, t:targetUsername}
+   {k:"adminMute",u:username, p:password, t:targetUsername, r:reason,
+    x:durationMillis}
+   {k:"adminUnmute",u:username, p:password, t:targetUsername}
+   {k:"adminBanAddress",u:username, p:password, a:remoteAddress, r:reason,
+    x:durationMillis} (also kicks everyone connected from there)
+   {k:"adminUnbanAddress",u:username, p:password, a:remoteAddress}
+   {k:"adminAnnounce",u:username, p:password, m:message, n:instanceName}
+    (n may be left out to announce to every instance)
+   {k:"adminGetAuditLog",u:username, p:password, n:maxEntries} (completion
+    string is a JSON list of the newest audit log entries, oldest first;
+    default 100)
+   For bans and mutes, x may be left out for one that doesn't run out;
+   otherwise it may be at most five years.
+   Addresses are as the server sees them, so an IPv4 client may show up
+   as "::ffff:1.2.3.4"; connections from the local machine are never
+   refused. Admins can't ban or mute themselves.
+   For instance creation and reset, g may be omitted if the playset has
+   .createGameState, and may be an unescaped object the same way as in
+   a manual serverstate.json. Resetting or retiring an instance kicks
+   everyone in it with the given reason. config.instanceList (or the older
+   config.instanceDisplayList), if present, is kept up to date with created
+   and retired instances. Instance names follow the same character rules
+   as usernames: ASCII letters and digits, not starting with a digit.
+   Admins can't delete or demote themselves, so the server can't be left
+   without an admin by accident. Deleting a user kicks them if logged in.
    
+   State is autosaved every config.autosaveIntervalMillis (default 5 minutes,
+   0 to disable) to autosave_<time>.json, keeping the newest 
+   config.autosaveRotations (default 5) of them. Every state file is written
+   to a temporary name and then renamed, so a crash mid-write can't leave a
+   truncated file behind. Each autosave records a hash of serverstate.json
+   as it was at startup. On startup, the state is loaded from the newest
+   loadable autosave (by the time in its name) that has the hash of the
+   current serverstate.json, and otherwise from serverstate.json itself.
+   So autosaves carry on after a crash, but not past a clean shutdown
+   (which rewrites serverstate.json) or a serverstate.json the operator
+   swapped in. A dirty shutdown renames the autosaves to
+   dirtyautosave_<time>.json, so the next startup goes back to
+   serverstate.json as well.
+
+   Instance access rules (.access, saved as "access" in the state file) are
+   an object with any of:
+   .allowedUsers: list of usernames; nobody else may join
+   .bannedUsers: list of usernames that may not join
+   .password: hashed like a user password; joining needs it. A manual
+              serverstate.json or adminSetInstanceAccess can give
+              .plaintextPassword instead, which gets hashed.
+   .maxControllers: how many players may be in at once; spectators don't
+                    count toward it
+   .adminOnly: true if only admins may join
+   Admins are subject only to .maxControllers. The rules apply to logins,
+   spectating included, and to controllers moved here from another
+   instance; a move can't supply a password, so it's refused by an
+   instance that has one.
+
+   Frame timing comes from the instance's .timing (saved as "timing" in
+   the state file, or given to adminCreateInstance), then the playset's
+   .getFrameTiming(), then the defaults: 30 fps, and horizons half a
+   second behind and a second and a half ahead of the present. Either
+   source is an object with any of .fps (at most MAX_FPS),
+   .pastHorizonFrames and .futureHorizonFrames (positive integers); a
+   horizon not given by the source that gives the fps is worked out from
+   that fps. config.hashSyncInterval and config.frameBroadcastInterval
+   count frames at whatever rate each instance runs; by default they're
+   about five seconds and a quarter second. Frames are broadcast at least
+   every half futureHorizonFrames whatever the interval, since clients go
+   by the last broadcast horizon to keep within the future horizon.
+
+   A playset may check what clients send with .validateInput and
+   .validateCommand (see web/playsets.js). config.invalidEventResponse
+   says what happens to an input or command one of those rejects:
+   "drop" (the default) ignores it as though it never came, "replace"
+   takes the hook's returned string in its place (the whole input, or the
+   command's argument) and drops it if the hook returned false, and "kick"
+   disconnects the client with INVALID_EVENT. A replaced event's echo
+   carries the replacement, so the sender's client corrects itself.
+
+   An instance with .record set (saved as "record":true in the state file)
+   writes a replay file into config.replayDirectory (default "replays")
+   each time it unsuspends, named <instanceName>_<time>.jsonl. The first
+   line is {n:instanceName, p:playsetName, f:frameNumber, r:fps,
+   g:serializedGameState, x:controllerStatus} for the past horizon at that
+   point; each later line is {f:frameNumber, e:[events]} with the events,
+   in canonical order, that advanced frame f to frame f+1, for frames that
+   had any. When recording stops (the instance suspends, or the server shuts
+   down) a last {f:frameNumber} line gives the final frame. Lines are
+   appended in batches about once a second, so a crash loses the tail.
+   web/replay.html plays these files back.
+
+   Each chat channel has its own token bucket per controller: it starts
+   with config.<channel>ChatBurstSize tokens, a message spends one, and
+   that one comes back config.<channel>ChatWaitMillis later, where
+   <channel> is global, instance or whisper (defaults 5 and 2000 for all
+   three). A muted user's messages on any channel go nowhere, and the
+   sender gets an N saying so. The last config.chatHistoryLength (default
+   50) global lines, and as many for each instance, are kept in memory
+   for S to give new arrivals; whispers aren't kept.
+
+   Every moderation call above except adminGetAuditLog appends a line to
+   config.auditLogFilename (default "audit.jsonl"), {t:isoTime,
+   u:adminUsername, k:messageKind, x:targetUsernameOrAddress, r:reason,
+   e:expiry Date.now() time or null}, with r and e only for the calls that
+   take them. Address bans are saved with the server state, as addressBans,
+   a map from addresses to {until, reason} like a user's .ban.
+
+   A desync report is saved to config.desyncReportDirectory (default
+   "desyncs") alongside the server's own state, status and events for the
+   same frame, as {n:instanceName, p:playsetName, f:frameNumber,
+   u:username, client:{h,g,x,e}, server:{h,g,x,e} or null if that frame is
+   too old}; desyncdiff.js shows where the two first differ. Only
+   config.maxDesyncReports (default 3) per user in any
+   config.desyncReportWindowMillis (default 3600000) are saved. With
+   config.resyncOnDesync set, the client is then sent a fresh S to carry on
+   from; otherwise it's disconnected. A client may only report on an F
+   with a hash that it hasn't already reported on, or been sent an S since;
+   other reports are ignored.
+
+   E and D codes are stable, so clients should branch on them rather than
+   on the strings, which are for people and may change. Error codes:
+   PROTOCOL_ERROR, NETWORK_ERROR, TIMED_OUT, DESYNC: client or connection
+    trouble; reconnecting may help, except with PROTOCOL_ERROR
+   AUTH_FAILED: wrong username/password (or old password)
+   SESSION_EXPIRED: session token no longer good; log in by password
+   BANNED x:{until,reason}: user or address banned
+   NOT_ADMIN, SELF_SERVE_REFUSED: not allowed to make that call
+   ALREADY_LOGGED_IN: logged in elsewhere, and the login didn't ask to
+    replace it
+   REPLACED: this login was replaced by a reconnecting one
+   KICKED x:{reason}, ACCOUNT_DELETED: removed by an admin
+   INSTANCE_MISSING, USER_MISSING, PLAYSET_MISSING: no such name
+   ACCESS_DENIED: the instance's rules (or the origin check) keep this
+    user out
+   INSTANCE_PASSWORD_REQUIRED, INSTANCE_PASSWORD_WRONG: the instance needs
+    j, or j didn't match
+   INSTANCE_FULL x:{max}
+   INSTANCE_RESET, INSTANCE_CLOSED: an admin reset or retired the instance;
+    after a reset, logging in again joins the fresh one
+   SERVER_SHUTDOWN x:{reason}
+   INVALID_USERNAME, INVALID_PASSWORD, INVALID_CONFIG x:{min} or {max} if
+    a length was the problem
+   USERNAME_TAKEN, INSTANCE_NAME_TAKEN
+   TOO_LARGE x:{max}: a network message, input, command argument or chat
+    message was too long
+   RATE_LIMITED: commands, or chat with x:{h:channel}, sent too quickly
+   INVALID_EVENT: the playset's validateInput or validateCommand turned
+    down an input or command, and config.invalidEventResponse is "kick"
+   TOO_MANY_EVENTS x:{count,bytes}: more frame and command events waiting
+    for the past horizon than config.maxBufferedEventsPerController
+    (default 1000) or config.maxBufferedEventBytesPerController (default
+    1000000, roughly in bytes) allow
+   INVALID_REQUEST: an API call's arguments don't make sense, x:{max} if
+    a length was the problem
+   Result codes: SESSION_TOKEN (d is the token), SESSIONS_REVOKED,
+   USER_CREATED, PASSWORD_CHANGED, CONFIG (d is the config), ANNOUNCED,
+   USER_KICKED, USER_NOT_LOGGED_IN, USER_BANNED, USER_UNBANNED,
+   USER_NOT_BANNED, USER_MUTED, USER_UNMUTED, USER_NOT_MUTED,
+   ADDRESS_BANNED, ADDRESS_UNBANNED, ADDRESS_NOT_BANNED, AUDIT_LOG,
+   USER_LIST and INSTANCE_LIST (d is JSON), USER_DELETED, ADMIN_GRANTED,
+   ADMIN_REVOKED, INSTANCE_CREATED, INSTANCE_RESET, INSTANCE_RETIRED,
+   RECORDING_ON, RECORDING_OFF, INSTANCE_ACCESS (d is JSON),
+   INSTANCE_ACCESS_SET, SHUTTING_DOWN.
+
    open issues not addressed here:
-   - state saving as anything other than a shutdown
    - local port for admin operations
-   - rotating state saves to avoid data loss, loading the right one
-   - revelation of hidden state/rng rolls
-   - handling of partially hidden state
-   - handling of hidden inputs
    - propagating data between different instances, and keeping that synced up
-   - gating instances (e.g. whitelists, bans, need another instance's approval)
-   - non-real-time instances for games without client-side prediction
+   - gating instances on another instance's approval
    - non-instance-specific messaging
-   - admin operations for user management, including grant/revoke admin
-   - fixed codes for error/success reasons
-   - (client-side) breaking long message arrays down to stay under max length
    
 */
 
@@ -126,46 +500,115 @@ var instances; // map from instance names instance state objects
 var controllers; // map from controller ID numbers to controller objects
 var nextControllerID; // int
 var selfServeUserCounts; // how many self-serve users there are from an IP
+var sessions; // map from session tokens to {u:username, x:expiry Date.now()}
+var addressBans; // map from remote addresses to {until, reason}
+// what an unknown username's password is checked against, so that it
+// takes as long to refuse as a known one
+var dummyPasswordHash;
+// map from usernames to when their desync reports in the current window
+// were saved, oldest first
+var desyncReportTimes;
 
 // maps from usernames to controller objects
 var inboxControllers, liveControllers, outboxControllers;
 
 var requiredOrigin; // if using https, need this origin or local loopback
 
-const FPS=30;
-const PAST_HORIZON_FRAMES=FPS/2, FUTURE_HORIZON_FRAMES=FPS*3/2;
+var autosaveInterval; // interval handle for periodic state saving
+var baseStateHash; // hash of serverstate.json as of startup, stamped on autosaves
+
+var globalChatHistory; // the last few global chat lines, oldest first
+
+const DEFAULT_FPS=30, MAX_FPS=120;
+const DEFAULT_PAST_HORIZON_SECONDS=0.5, DEFAULT_FUTURE_HORIZON_SECONDS=1.5;
 const TIMEOUT_MILLIS=5000;
-const DEFAULT_HASH_SYNC_INTERVAL=FPS*5;
-const DEFAULT_FRAME_BROADCAST_INTERVAL=FPS/4;
+const DEFAULT_HASH_SYNC_SECONDS=5;
+const DEFAULT_FRAME_BROADCAST_SECONDS=0.25;
 const DEFAULT_MAX_CHAT_MESSAGE_LENGTH=1024;
 const DEFAULT_CHAT_BURST_SIZE=5;
 const DEFAULT_CHAT_WAIT_MILLIS=2000;
+const CHAT_CHANNEL_NAMES={g:"global",i:"instance",w:"whisper"};
+const DEFAULT_CHAT_HISTORY_LENGTH=50;
+const DEFAULT_TURN_COMMAND_BURST_SIZE=10;
+const DEFAULT_TURN_COMMAND_WAIT_MILLIS=1000;
+const DEFAULT_SESSION_LIFETIME_MILLIS=24*60*60*1000;
 
 const MIN_USERNAME_LENGTH=3;
 const MAX_USERNAME_LENGTH=16;
 const MIN_PASSWORD_LENGTH=3;
 const MAX_PASSWORD_LENGTH=64;
 const MAX_USER_CONFIG_LENGTH=10000;
+// in UTF-8 bytes, per network message; only a lone desync report or
+// admin call carrying a game state may go up to the larger limit, which
+// is also where the websocket library hangs up without a word
 const MAX_INBOUND_MESSAGE_LENGTH=20000;
+const MAX_LARGE_INBOUND_MESSAGE_LENGTH=1000000;
+const LARGE_INBOUND_MESSAGE_KINDS=["h","adminCreateInstance",
+				   "adminResetInstance"];
+const MAX_INSTANCE_NAME_LENGTH=32;
+
+// scrypt parameters for new password hashes; existing hashes keep the
+// parameters they were made with until their next successful check
+const SCRYPT_COST=16384;
+const SCRYPT_BLOCK_SIZE=8;
+const SCRYPT_PARALLELIZATION=1;
+const SCRYPT_KEY_LENGTH=32;
+const PASSWORD_SALT_BYTES=16;
+// besides the admin calls, the messages that may authenticate by password
+const PASSWORD_AUTHENTICATED_KINDS=["l","startSession","revokeMySessions",
+				    "changeMyPassword","getMyConfig",
+				    "setMyConfig","dirtyShutdown",
+				    "cleanShutdown"];
+// messages from a controller that wait while one of its passwords hashes
+const MAX_HELD_INBOUND_MESSAGES=100;
 
 // set this true if hashes are desyncing and you want lots of
 // console output about it
 const DUMP_HASH_STATES=false;
 
 const STATE_FILENAME="./serverstate.json";
+const AUTOSAVE_PREFIX="autosave_";
+const DEFAULT_AUTOSAVE_INTERVAL_MILLIS=5*60*1000;
+const DEFAULT_AUTOSAVE_ROTATIONS=5;
+const DEFAULT_REPLAY_DIRECTORY="replays";
+const REPLAY_FLUSH_INTERVAL_SECONDS=1;
+const DEFAULT_DESYNC_REPORT_DIRECTORY="desyncs";
+const DEFAULT_MAX_DESYNC_REPORTS=3;
+const DEFAULT_DESYNC_REPORT_WINDOW_MILLIS=60*60*1000;
+const DEFAULT_AUDIT_LOG_FILENAME="audit.jsonl";
+const DEFAULT_AUDIT_LOG_ENTRIES_SHOWN=100;
+const MAX_MODERATION_REASON_LENGTH=200;
+const MAX_RESTRICTION_MILLIS=5*365*24*60*60*1000;
+// a client's report can only be about a hash it has already received,
+// so only the last couple of hashed frames are worth keeping
+const HASHED_FRAME_HISTORY=2;
+const MAX_COMMAND_RECIPIENTS=64;
+// per controller, for frame and command events not yet at the past horizon
+const DEFAULT_MAX_BUFFERED_EVENTS=1000;
+const DEFAULT_MAX_BUFFERED_EVENT_BYTES=1000000;
+// what to do with an input or command the playset says is invalid:
+// "drop", "replace" (with what the playset suggests, or drop if nothing)
+// or "kick"
+const DEFAULT_INVALID_EVENT_RESPONSE="drop";
+// a rough guess at an event object's size apart from its strings
+const EVENT_MEMORY_OVERHEAD=100;
+const SECRET_BYTES=32;
 
 var playsets;
 
 var playsetCommandRateLimits;
 var playsetInputLengthLimits;
 var playsetArgumentLengthLimits;
+var playsetHiddenCommands;
+var playsetFrameTimings;
 
 
 function defaultPlaysetAdvanceGameState(state,connects,
 					commands,inputs,disconnects) {
  // exact cutpaste between client and server code
  for(var i in connects) {
-  this.applyConnect(state,connects[i].c,connects[i].u,connects[i].d);
+  this.applyConnect(state,connects[i].c,connects[i].u,connects[i].d,
+		    connects[i].e,connects[i].b);
  }
  var controllerCommands={}
  for(var i in commands) {
@@ -189,6 +632,22 @@ function defaultPlaysetAdvanceGameState(state,connects,
  }
 }
 
+function defaultPlaysetPredictNextInput(input) {
+ return input;
+}
+
+function areInputsEqual(a,b) {
+ // exact cutpaste between client and server code. inputs may be
+ // structured, and the same structure in two different objects counts
+ // as equal; differently-ordered keys only cost a redundant relay
+ return a===b || JSON.stringify(a)===JSON.stringify(b);
+}
+
+function getInputLength(input) {
+ // exact cutpaste between client and server code
+ return (typeof(input)=="string")?input.length:JSON.stringify(input).length;
+}
+
 function registerPlayset(playset) {
  var defaultSerialization=true
  if(!("serializeGameState" in playset)) {
@@ -237,9 +696,29 @@ function registerPlayset(playset) {
   playsetArgumentLengthLimits[name]=MAX_INBOUND_MESSAGE_LENGTH;
  }
 
+ playsetHiddenCommands[name]={}
+ if(playset.getHiddenCommands) {
+  var hidden=playset.getHiddenCommands();
+  for(var i in hidden) {
+   playsetHiddenCommands[name][hidden[i]]=true;
+  }
+ }
+
+ playsetFrameTimings[name]=null;
+ if(playset.getFrameTiming) {
+  var timing=parseFrameTiming(playset.getFrameTiming());
+  if(typeof(timing)=="string") {
+   throw new Error("playset "+name+": "+timing);
+  }
+  playsetFrameTimings[name]=timing;
+ }
+
  if(!("advanceGameState" in playset)) {
   playset.advanceGameState=defaultPlaysetAdvanceGameState;
  }
+ if(!("predictNextInput" in playset)) {
+  playset.predictNextInput=defaultPlaysetPredictNextInput;
+ }
 }
 
 function getPlayset(name) {
@@ -254,6 +733,8 @@ function loadPlaysets() {
  playsetInputLengthLimits={}
  playsetArgumentLengthLimits={}
  playsetCommandRateLimits={} 
+ playsetHiddenCommands={}
+ playsetFrameTimings={}
  require("./web/playsets.js")
  delete global.registerPlayset
 }
@@ -278,19 +759,79 @@ function initServer() {
  } 
  wsServer=new ws.Server({
   server:httpServer,
-  maxLength:8192
+  maxPayload:MAX_LARGE_INBOUND_MESSAGE_LENGTH
  });
  wsServer.on('connection',onSocketConnection);
  httpServer.listen(8081);
+ scheduleAutosave();
 }
 
-function serializeServerState() {
+function scheduleAutosave() {
+ var interval=("autosaveIntervalMillis" in config)?
+     config.autosaveIntervalMillis:DEFAULT_AUTOSAVE_INTERVAL_MILLIS;
+ if(interval>0) {
+  autosaveInterval=setInterval(autosave,interval);
+ }
+}
+
+function autosave() {
+ try {
+  var saveFilename=AUTOSAVE_PREFIX+getSaveTimeString()+".json";
+  writeStateFileAtomically(saveFilename,serializeServerState(baseStateHash));
+  pruneAutosaves();
+ }
+ catch(e) {
+  // a failed autosave shouldn't take the server down with it; the
+  // previous rotations are still there
+  console.error("autosave failed",e);
+ }
+}
+
+function pruneAutosaves() {
+ var rotations=("autosaveRotations" in config)?
+     config.autosaveRotations:DEFAULT_AUTOSAVE_ROTATIONS;
+ // time strings are ISO format, so lexicographic order is chronological
+ var saves=listAutosaveFilenames();
+ saves.sort();
+ while(saves.length>Math.max(rotations,1)) {
+  fs.unlinkSync(saves.shift());
+ }
+}
+
+function listAutosaveFilenames() {
+ return fs.readdirSync(".").filter(function(name) {
+  return name.startsWith(AUTOSAVE_PREFIX) && name.endsWith(".json");
+ });
+}
+
+function getSaveTimeString() {
+ return new Date().toISOString().replace(/:/g,"_");
+}
+
+function getFilenameSafeName(name) {
+ // instance names can be anything an admin typed
+ return name.replace(/[^A-Za-z0-9_-]/g,"_");
+}
+
+function writeStateFileAtomically(filename,contents) {
+ // rename replaces the destination in one step, so readers (including
+ // a future loadServerState) see either the old file or the new one
+ var tempFilename=filename+".tmp";
+ fs.writeFileSync(tempFilename,contents);
+ fs.renameSync(tempFilename,filename);
+}
+
+function serializeServerState(baseState) {
  var o={
   config:config,
   users:users,
+  addressBans:addressBans,
   nextControllerID:nextControllerID,
   instances:{}
  }
+ if(baseState) {
+  o.baseState=baseState;
+ }
  for(var i in instances) {
   var instance=instances[i];
   var playset=instance.playset;
@@ -299,16 +840,81 @@ function serializeServerState() {
    state:playset.serializeGameState(instance.pastHorizonState),
    controllerStatus:instance.pastHorizonControllerStatus,
   }
+  if(instance.record) {
+   o.instances[i].record=true;
+  }
+  if(instance.access) {
+   o.instances[i].access=instance.access;
+  }
+  if(instance.timing) {
+   o.instances[i].timing=instance.timing;
+  }
  }
  return JSON.stringify(o,null,1);
 }
 
+function readNewestServerState() {
+ // autosaves only count if they were made since serverstate.json was last
+ // written, which they know by its hash; that way a clean shutdown, or an
+ // operator putting a different serverstate.json in place, wins over them.
+ // they're tried newest-first (by name, not mtime, which copying can
+ // keep), then serverstate.json. a file that's unreadable or doesn't look
+ // like a server state is skipped in favor of the next one.
+ try {
+  baseStateHash=crypto.createHash("sha256").
+   update(fs.readFileSync(STATE_FILENAME)).digest("hex");
+ }
+ catch(e) {
+  baseStateHash="";
+ }
+ var candidates=listAutosaveFilenames();
+ candidates.sort();
+ candidates.reverse();
+ candidates.push(STATE_FILENAME);
+ for(var i=0;i<candidates.length;++i) {
+  try {
+   var o=JSON.parse(fs.readFileSync(candidates[i]));
+  }
+  catch(e) {
+   console.error("skipping unreadable state file "+candidates[i],e);
+   continue;
+  }
+  if(!o || typeof(o.users)!="object" || typeof(o.instances)!="object") {
+   console.error("skipping malformed state file "+candidates[i]);
+  }
+  else if(candidates[i]!=STATE_FILENAME && o.baseState!==baseStateHash) {
+   console.log("skipping "+candidates[i]+", made from another "+
+	       STATE_FILENAME);
+  }
+  else {
+   console.log("loading state from "+candidates[i]);
+   return o;
+  }
+ }
+ throw new Error("no loadable server state found");
+}
+
+function setAsideAutosaves() {
+ // a dirty shutdown means the running state is to be thrown away, so its
+ // autosaves must not be picked up on the next startup either
+ var saves=listAutosaveFilenames();
+ for(var i=0;i<saves.length;++i) {
+  try {
+   fs.renameSync(saves[i],"dirty"+saves[i]);
+  }
+  catch(e) {
+   console.error("could not set aside "+saves[i],e);
+  }
+ }
+}
+
 function loadServerState() {
- // for now we're just loading state from a single file, not looking
- // at filenames to pick one
- var o=JSON.parse(fs.readFileSync("./serverstate.json"));
+ var o=readNewestServerState();
  config=o.config||{};
  selfServeUserCounts={}
+ globalChatHistory=[];
+ sessions={}
+ addressBans=o.addressBans||{};
  users=o.users;
  for(var username in users) {
   var u=users[username]
@@ -317,12 +923,20 @@ function loadServerState() {
     (selfServeUserCounts[u.selfServeAddress]||0)+1;
   }
   if(u.plaintextPassword) {
-   u.password=makePasswordHash(u.plaintextPassword);
+   u.password=makePasswordHashWhileLoading(u.plaintextPassword);
    delete u.plaintextPassword;
   }
   if(!("config" in u)) { u.config=""; }
+  if(typeof(u.data)!="object" || !u.data) { u.data={}; }
+  // convenience: manual serverstate.json can leave out the username,
+  // since it's already the key
+  u.username=username;
  }
  nextControllerID=o.nextControllerID;
+ desyncReportTimes={};
+ dummyPasswordHash=formatPasswordHash(
+  crypto.randomBytes(PASSWORD_SALT_BYTES),
+  crypto.randomBytes(SCRYPT_KEY_LENGTH));
  controllers={}
  liveControllers={}
  inboxControllers={}
@@ -343,23 +957,59 @@ function loadServerState() {
   // that were connected as of persist time get disconnect game events 
   // on rehydrating.
   var controllerStatus=("controllerStatus" in inst)?inst.controllerStatus:{};
-  
-  instances[k]={
-   playset:playset,
-   pastHorizonFrameNumber:1,
-   pastHorizonState:state,
-   pastHorizonPerfTime:performance.now()-PAST_HORIZON_FRAMES*FPS/1000,
-   pastHorizonControllerStatus:controllerStatus,
-   events:{1:[]},
-   broadcastControllers:{},
-   suspended:true,
-  };
-  // any controllers that were connected at save time are disconnected
-  // now, let the game state find out when computing from frame 1 to frame 2
-  for(var c in inst.controllerStatus) {
-   instances[k].events[1].push({"k":"d","c":c|0,"f":1});
+  var timing=parseFrameTiming(inst.timing);
+  if(typeof(timing)=="string") {
+   throw new Error("instance "+k+": "+timing);
+  }
+  instances[k]=makeInstance(k,playset,state,controllerStatus,timing);
+  instances[k].record=!!inst.record;
+  var access=parseInstanceAccess(inst.access);
+  if(typeof(access)=="string") {
+   throw new Error("instance "+k+": "+access);
   }
+  if(access && access.plaintextPassword) {
+   access.password=makePasswordHashWhileLoading(access.plaintextPassword);
+   delete access.plaintextPassword;
+  }
+  instances[k].access=access;
+ }
+}
+
+function makeInstance(name,playset,state,controllerStatus,timing) {
+ var rates=resolveFrameTiming(playsetFrameTimings[playset.getName()],timing);
+ var instance={
+  name:name,
+  playset:playset,
+  fps:rates.fps,
+  pastHorizonFrames:rates.pastHorizonFrames,
+  futureHorizonFrames:rates.futureHorizonFrames,
+  timing:timing,
+  pastHorizonFrameNumber:1,
+  pastHorizonState:state,
+  pastHorizonPerfTime:performance.now()-
+   rates.pastHorizonFrames*1000/rates.fps,
+  pastHorizonControllerStatus:controllerStatus,
+  events:{1:[]},
+  broadcastControllers:{},
+  spectatorControllers:{},
+  suspended:true,
+  record:false,
+  replayFilename:null,
+  replayLines:[],
+  recentEvents:[],
+  hashedFrames:[],
+  pendingSecretCount:0,
+  pendingReveals:{},
+  access:null,
+  chatHistory:[],
+ };
+ // any controllers that were connected at save time are disconnected
+ // now, let the game state find out when computing from frame 1 to frame 2
+ for(var c in controllerStatus) {
+  instance.events[1].push({"k":"d","c":c|0,"f":1});
  }
+ instance.turnDeadlineTime=null;
+ return instance;
 }
 
 
@@ -369,7 +1019,24 @@ function onSocketConnection(socket,request) {
 	      request.connection.remoteAddress=="::ffff:127.0.0.1"); 
  if(!isLocal && requiredOrigin && request.headers.origin!=requiredOrigin) {
   try {
-   socket.send(JSON.stringify({"k":"E","e":"origin header mismatch"}));
+   socket.send(JSON.stringify({"k":"E","c":"ACCESS_DENIED",
+			       "e":"origin header mismatch"}));
+  }
+  catch(e) { }
+  try {
+   socket.close();
+  }
+  catch(e) { }
+  return;
+ }
+ var addressBan=isLocal?null:
+     getActiveRestriction(addressBans,request.connection.remoteAddress);
+ if(addressBan) {
+  try {
+   socket.send(JSON.stringify({"k":"E","c":"BANNED",
+			       "e":describeRestriction("banned",addressBan),
+			       "x":{until:addressBan.until,
+				    reason:addressBan.reason}}));
   }
   catch(e) { }
   try {
@@ -385,6 +1052,7 @@ function onSocketConnection(socket,request) {
   remoteAddress:request.connection.remoteAddress,
   isLocal:isLocal,
   lifecycle:"new",
+  unansweredHashFrame:null,
  }
  socket.on('message',onSocketMessage);
  socket.on('error',onSocketError);
@@ -418,7 +1086,7 @@ function abandonConnectionTimeout(controller) {
 
 function handleControllerTimeout(controller) {
  //console.log("tick (controller timeout)");
- controllerError(controller,"connection timed out");
+ controllerError(controller,"TIMED_OUT","connection timed out");
 }
 
 function onSocketMessage(e) {
@@ -432,18 +1100,25 @@ function onSocketMessage(e) {
   var message=JSON.parse(e);
  }
  catch(err) {
-  controllerError(controller,"server could not parse network message");
+  controllerError(controller,"PROTOCOL_ERROR","server could not parse network message");
   return;
  }
  if(typeof(message)!="object") {
-  controllerError(controller,"non-JSON network message");
+  controllerError(controller,"PROTOCOL_ERROR","non-JSON network message");
+  return;
+ }
+ if(Buffer.byteLength(e)>MAX_INBOUND_MESSAGE_LENGTH &&
+    (!message || Array.isArray(message) ||
+     LARGE_INBOUND_MESSAGE_KINDS.indexOf(message.k)==-1)) {
+  controllerError(controller,"TOO_LARGE","network message too long",
+		  {max:MAX_INBOUND_MESSAGE_LENGTH});
   return;
  }
  if(Array.isArray(message)) {
   for(var i=0;i<message.length && !controller.disconnected;++i)
   {
    if(typeof(message[i])!="object") {
-    controllerError(controller,"non-JSON network message");
+    controllerError(controller,"PROTOCOL_ERROR","non-JSON network message");
     return;
    }
    onInboundMessage(controller,message[i]);
@@ -455,23 +1130,99 @@ function onSocketMessage(e) {
 }
 
 function onInboundMessage(controller,message) {
+ if(controller.heldMessages) {
+  // waiting behind an earlier message's password hashing
+  if(controller.heldMessages.length>=MAX_HELD_INBOUND_MESSAGES) {
+   controllerError(controller,"PROTOCOL_ERROR","client sent too many messages while a password was being checked");
+   return;
+  }
+  controller.heldMessages.push(message);
+  return;
+ }
+ if(controller.moving && message.k!="m") {
+  // sent before the client heard about its move, for the instance it's
+  // leaving, or sent too early for the one it's going to
+  return;
+ }
+ if(isUserPasswordCheckNeeded(message) || isJoinPasswordCheckNeeded(message)) {
+  checkMessagePasswords(controller,message);
+  return;
+ }
+ dispatchInboundMessage(controller,message);
+}
+
+function dispatchInboundMessage(controller,message) {
  switch(message.k) {
   // normal flow
  case "f": onFrameMessage(controller,message); break;
  case "o": onCommandMessage(controller,message); break;
  case "l": onLoginMessage(controller,message); break;
- case "g": onGlobalChatMessage(controller,message); break;
+ case "g": case "i": case "w": onChatMessage(controller,message); break;
+ case "p": onKeepaliveMessage(controller,message); break;
+ case "h": onDesyncReportMessage(controller,message); break;
+ case "m": onMoveAcknowledgementMessage(controller,message); break;
   // API calls
  case "prelogin": onPreloginMessage(controller,message); break;
  case "selfServeCreateUser": onCreateUserMessage(controller,message); break;
+ case "startSession": onStartSessionMessage(controller,message); break;
+ case "revokeMySessions": onRevokeSessionsMessage(controller,message); break;
  case "changeMyPassword": onChangePasswordMessage(controller,message); break;
  case "getMyConfig": onGetConfigMessage(controller,message); break;
  case "setMyConfig": onSetConfigMessage(controller,message); break;
  case "dirtyShutdown": case "cleanShutdown":
   onShutdownMessage(controller,message);
   break;
+ case "adminListUsers": onAdminListUsersMessage(controller,message); break;
+ case "adminCreateUser": onAdminCreateUserMessage(controller,message); break;
+ case "adminDeleteUser": onAdminDeleteUserMessage(controller,message); break;
+ case "adminResetPassword":
+  onAdminResetPasswordMessage(controller,message);
+  break;
+ case "adminGetUserConfig":
+  onAdminGetUserConfigMessage(controller,message);
+  break;
+ case "adminSetUserConfig":
+  onAdminSetUserConfigMessage(controller,message);
+  break;
+ case "adminSetAdmin": onAdminSetAdminMessage(controller,message); break;
+ case "adminRevokeSessions":
+  onAdminRevokeSessionsMessage(controller,message);
+  break;
+ case "adminListInstances":
+  onAdminListInstancesMessage(controller,message);
+  break;
+ case "adminCreateInstance":
+  onAdminCreateInstanceMessage(controller,message);
+  break;
+ case "adminResetInstance":
+  onAdminResetInstanceMessage(controller,message);
+  break;
+ case "adminRetireInstance":
+  onAdminRetireInstanceMessage(controller,message);
+  break;
+ case "adminSetInstanceRecording":
+  onAdminSetInstanceRecordingMessage(controller,message);
+  break;
+ case "adminGetInstanceAccess":
+  onAdminGetInstanceAccessMessage(controller,message);
+  break;
+ case "adminSetInstanceAccess":
+  onAdminSetInstanceAccessMessage(controller,message);
+  break;
+ case "adminKick": onAdminKickMessage(controller,message); break;
+ case "adminBan": onAdminBanMessage(controller,message); break;
+ case "adminMute": onAdminMuteMessage(controller,message); break;
+ case "adminUnban": case "adminUnmute":
+  onAdminUnbanOrUnmuteMessage(controller,message);
+  break;
+ case "adminBanAddress": onAdminBanAddressMessage(controller,message); break;
+ case "adminUnbanAddress":
+  onAdminUnbanAddressMessage(controller,message);
+  break;
+ case "adminAnnounce": onAdminAnnounceMessage(controller,message); break;
+ case "adminGetAuditLog": onAdminGetAuditLogMessage(controller,message); break;
  default:
-  controllerError(controller,"unknown message type");
+  controllerError(controller,"PROTOCOL_ERROR","unknown message type");
   break;
  }
 }
@@ -479,7 +1230,7 @@ function onInboundMessage(controller,message) {
 function onSocketError() {
  var controller=this.okayController;
  if(controller.disconnected) { return; }
- controllerError(controller,"server detected network error");
+ controllerError(controller,"NETWORK_ERROR","server detected network error");
 }
 
 function onSocketClose() {
@@ -488,32 +1239,445 @@ function onSocketClose() {
  disconnectController(controller);
 }
 
-function makePasswordHash(password) {
- var salt=crypto.randomBytes(4).toString('hex');
- var hash=crypto.createHash('sha256');
- hash.update(salt);
- hash.update(password+"");
- return salt+"#"+hash.digest('hex');
+function getScryptOptions(n,r,p) {
+ return {N:n, r:r, p:p, maxmem:256*n*r+1024*1024};
+}
+
+function scryptPassword(password,salt,keyLength,n,r,p,callback) {
+ // a hash takes long enough to hold up every instance, so it runs off
+ // the event loop; callback(key), or callback(null) for bad parameters
+ crypto.scrypt(password+"",salt,keyLength,getScryptOptions(n,r,p),
+	       function(err,key) {
+		callback(err?null:key);
+	       });
+}
+
+function formatPasswordHash(salt,key) {
+ return ["scrypt",SCRYPT_COST,SCRYPT_BLOCK_SIZE,SCRYPT_PARALLELIZATION,
+	 salt.toString('hex'),key.toString('hex')].join("$");
 }
 
-function doesPasswordMatchHash(password,hashWanted) {
+function makePasswordHash(password,callback) {
+ // callback(hash)
+ var salt=crypto.randomBytes(PASSWORD_SALT_BYTES);
+ scryptPassword(password,salt,SCRYPT_KEY_LENGTH,
+		SCRYPT_COST,SCRYPT_BLOCK_SIZE,SCRYPT_PARALLELIZATION,
+		function(key) {
+		 callback(formatPasswordHash(salt,key));
+		});
+}
+
+function makePasswordHashWhileLoading(password) {
+ // for plaintext passwords in the state file, before the server takes
+ // any connections, so blocking holds nobody up
+ var salt=crypto.randomBytes(PASSWORD_SALT_BYTES);
+ var key=crypto.scryptSync(password+"",salt,SCRYPT_KEY_LENGTH,
+			   getScryptOptions(SCRYPT_COST,SCRYPT_BLOCK_SIZE,
+					    SCRYPT_PARALLELIZATION));
+ return formatPasswordHash(salt,key);
+}
+
+function doesPasswordMatchHash(password,hashWanted,callback) {
+ // callback(true or false), never before this returns
+ var parts=hashWanted.split("$");
+ if(parts[0]=="scrypt" && parts.length==6) {
+  var expected=Buffer.from(parts[5],'hex');
+  scryptPassword(password,Buffer.from(parts[4],'hex'),expected.length,
+		 parts[1]|0,parts[2]|0,parts[3]|0,function(actual) {
+		  callback(!!actual && areKeysEqual(actual,expected));
+		 });
+  return;
+ }
+ // legacy format: a single salted sha256
  var salt=hashWanted.slice(0,hashWanted.indexOf("#"));
  var hash=crypto.createHash('sha256');
  hash.update(salt);
  hash.update(password+"");
- var digest=hash.digest('hex');
- return hashWanted==salt+"#"+digest
+ var actual=hash.digest();
+ var expected=Buffer.from(hashWanted.slice(hashWanted.indexOf("#")+1),'hex');
+ setImmediate(function() {
+  callback(areKeysEqual(actual,expected));
+ });
 }
 
-function onPreloginMessage(controller,message) {
- var instanceList;
- if(config.instanceDisplayList) {
-  instanceList=config.instanceDisplayList;
+function areKeysEqual(actual,expected) {
+ // timingSafeEqual throws on a length mismatch, which only depends on the
+ // stored hash and not on the guess, so checking it first leaks nothing
+ return actual.length==expected.length &&
+  crypto.timingSafeEqual(actual,expected);
+}
+
+function doesPasswordHashNeedUpgrade(hash) {
+ // true for legacy hashes and for scrypt hashes with outdated parameters
+ return hash.indexOf(["scrypt",SCRYPT_COST,SCRYPT_BLOCK_SIZE,
+		      SCRYPT_PARALLELIZATION,""].join("$"))!=0;
+}
+
+function upgradePasswordHash(username,password,oldHash) {
+ makePasswordHash(password,function(hash) {
+  // unless the user is gone or their password changed meanwhile
+  if(Object.prototype.hasOwnProperty.call(users,username) &&
+     users[username].password===oldHash) {
+   users[username].password=hash;
+  }
+ });
+}
+
+function isUserPasswordCheckNeeded(message) {
+ if(!("p" in message)) { return false; }
+ var kind=message.k+"";
+ if(kind=="startSession" || kind=="changeMyPassword") { return true; }
+ return !("s" in message) &&
+  (PASSWORD_AUTHENTICATED_KINDS.indexOf(kind)!=-1 ||
+   kind.indexOf("admin")==0);
+}
+
+function isJoinPasswordCheckNeeded(message) {
+ return message.k=="l" && ("j" in message);
+}
+
+function holdInboundMessages(controller) {
+ controller.heldMessages=[];
+}
+
+function resumeInboundMessages(controller,work) {
+ // work finishes the handler that held messages; the ones held since
+ // then follow it, waiting again if it held them again
+ var held=controller.heldMessages;
+ controller.heldMessages=null;
+ if(controller.disconnected) { return; }
+ work();
+ for(var i=0;i<held.length && !controller.disconnected;++i) {
+  onInboundMessage(controller,held[i]);
  }
- else {
-  instanceList=Object.getOwnPropertyNames(instances);
-  instanceList.sort();
+}
+
+function checkMessagePasswords(controller,message) {
+ // does the hashing for a message's user password and instance password
+ // before its handler runs, leaving the answers in
+ // controller.passwordCheck for checkUserPassword and
+ // isJoinPasswordCorrect
+ holdInboundMessages(controller);
+ var username=message.u+"";
+ var check={message:message, userHash:null, userOk:false,
+	    joinHash:null, joinOk:false};
+ var finish=function() {
+  resumeInboundMessages(controller,function() {
+   controller.passwordCheck=check;
+   dispatchInboundMessage(controller,message);
+   controller.passwordCheck=null;
+   // only now, since checkUserPassword wants the hash it was checked with
+   if(check.userOk && doesPasswordHashNeedUpgrade(check.userHash)) {
+    upgradePasswordHash(username,message.p,check.userHash);
+   }
+  });
+ };
+ var checkJoinPassword=function() {
+  var instanceName=message.n+"";
+  var access=Object.prototype.hasOwnProperty.call(instances,instanceName)?
+      instances[instanceName].access:null;
+  if(!isJoinPasswordCheckNeeded(message) || !access || !access.password) {
+   finish();
+   return;
+  }
+  check.joinHash=access.password;
+  doesPasswordMatchHash(message.j+"",check.joinHash,function(matched) {
+   check.joinOk=matched;
+   finish();
+  });
+ };
+ if(!isUserPasswordCheckNeeded(message)) {
+  checkJoinPassword();
+  return;
+ }
+ var known=Object.prototype.hasOwnProperty.call(users,username);
+ check.userHash=known?users[username].password:dummyPasswordHash;
+ doesPasswordMatchHash(message.p,check.userHash,function(matched) {
+  check.userOk=known && matched;
+  if(!check.userOk) {
+   finish();
+   return;
+  }
+  checkJoinPassword();
+ });
+}
+
+function checkUserPassword(controller,message) {
+ // checkMessagePasswords has done the hashing by the time a handler asks
+ var check=controller.passwordCheck;
+ return !!check && check.message===message && check.userOk &&
+  Object.prototype.hasOwnProperty.call(users,message.u+"") &&
+  users[message.u].password===check.userHash;
+}
+
+function isJoinPasswordCorrect(controller,message,instance) {
+ var check=controller.passwordCheck;
+ return !!check && check.message===message && check.joinOk &&
+  !!instance.access && check.joinHash===instance.access.password;
+}
+
+function hashNewPassword(controller,password,callback) {
+ // callback(hash) finishes the handler, unless the controller is gone by
+ // then; its other messages wait meanwhile
+ holdInboundMessages(controller);
+ makePasswordHash(password,function(hash) {
+  resumeInboundMessages(controller,function() {
+   callback(hash);
+  });
+ });
+}
+
+function getInstanceListConfigKey() {
+ // instanceDisplayList is the older name, still read from existing configs
+ if(Array.isArray(config.instanceList)) { return "instanceList"; }
+ if(Array.isArray(config.instanceDisplayList)) { return "instanceDisplayList"; }
+ return null;
+}
+
+function getInstanceDisplayList() {
+ var listKey=getInstanceListConfigKey();
+ if(listKey) {
+  return config[listKey].filter(function(name) {
+   return name in instances;
+  });
+ }
+ var instanceList=Object.getOwnPropertyNames(instances);
+ instanceList.sort();
+ return instanceList;
+}
+
+function parseInstanceAccess(rules) {
+ // returns an access object, null for no rules, or a string saying
+ // what's wrong with them
+ if(rules===null || rules===undefined) { return null; }
+ if(typeof(rules)!="object" || Array.isArray(rules)) {
+  return "access rules must be an object";
+ }
+ var access={};
+ var lists=["allowedUsers","bannedUsers"];
+ for(var i in lists) {
+  var list=rules[lists[i]];
+  if(list===null || list===undefined) { continue; }
+  if(!Array.isArray(list)) {
+   return lists[i]+" must be a list of usernames";
+  }
+  access[lists[i]]=list.map(function(username) { return username+""; });
+ }
+ if(rules.maxControllers!==null && rules.maxControllers!==undefined) {
+  if(typeof(rules.maxControllers)!="number" || !(rules.maxControllers>=0)) {
+   return "maxControllers must be a number, 0 or more";
+  }
+  access.maxControllers=Math.floor(rules.maxControllers);
+ }
+ if(rules.adminOnly) {
+  access.adminOnly=true;
+ }
+ if(typeof(rules.plaintextPassword)=="string" && rules.plaintextPassword) {
+  if(rules.plaintextPassword.length>MAX_PASSWORD_LENGTH) {
+   return "instance password too long";
+  }
+  // whoever parsed these hashes it
+  access.plaintextPassword=rules.plaintextPassword;
+ }
+ else if(typeof(rules.password)=="string" && rules.password) {
+  // already hashed, as adminGetInstanceAccess gives it
+  access.password=rules.password;
+ }
+ return access;
+}
+
+function parseFrameTiming(settings) {
+ // returns a timing object, null for none, or a string saying what's
+ // wrong with it
+ if(settings===null || settings===undefined) { return null; }
+ if(typeof(settings)!="object" || Array.isArray(settings)) {
+  return "frame timing must be an object";
+ }
+ var timing={};
+ if(settings.fps!==null && settings.fps!==undefined) {
+  if(typeof(settings.fps)!="number" ||
+     !(settings.fps>0 && settings.fps<=MAX_FPS)) {
+   return "fps must be a number above 0 and at most "+MAX_FPS;
+  }
+  timing.fps=settings.fps;
+ }
+ var horizons=["pastHorizonFrames","futureHorizonFrames"];
+ for(var i in horizons) {
+  var frames=settings[horizons[i]];
+  if(frames===null || frames===undefined) { continue; }
+  if(!Number.isInteger(frames) || frames<1) {
+   return horizons[i]+" must be a positive integer";
+  }
+  timing[horizons[i]]=frames;
+ }
+ return timing;
+}
+
+function resolveFrameTiming(playsetTiming,instanceTiming) {
+ // the instance's settings win, and horizons left out follow the fps of
+ // whichever settings gave it
+ var rates={fps:DEFAULT_FPS};
+ var sources=[playsetTiming,instanceTiming];
+ for(var i in sources) {
+  var timing=sources[i];
+  if(!timing) { continue; }
+  if("fps" in timing) {
+   rates={fps:timing.fps};
+  }
+  if("pastHorizonFrames" in timing) {
+   rates.pastHorizonFrames=timing.pastHorizonFrames;
+  }
+  if("futureHorizonFrames" in timing) {
+   rates.futureHorizonFrames=timing.futureHorizonFrames;
+  }
+ }
+ if(!("pastHorizonFrames" in rates)) {
+  rates.pastHorizonFrames=
+   Math.max(1,Math.round(rates.fps*DEFAULT_PAST_HORIZON_SECONDS));
+ }
+ if(!("futureHorizonFrames" in rates)) {
+  rates.futureHorizonFrames=
+   Math.max(1,Math.round(rates.fps*DEFAULT_FUTURE_HORIZON_SECONDS));
+ }
+ return rates;
+}
+
+function getInstanceExclusion(access,username) {
+ // the rules that depend only on who's asking; null if none applies,
+ // otherwise {c:code,e:error string}
+ if(!access || users[username].admin) { return null; }
+ if(access.adminOnly) {
+  return {c:"ACCESS_DENIED",e:"this instance is for admins only"};
+ }
+ if(access.bannedUsers && access.bannedUsers.indexOf(username)!=-1) {
+  return {c:"ACCESS_DENIED",e:"you are banned from this instance"};
+ }
+ if(access.allowedUsers && access.allowedUsers.indexOf(username)==-1) {
+  return {c:"ACCESS_DENIED",
+	  e:"you are not on this instance's list of allowed users"};
+ }
+ return null;
+}
+
+function getInstanceAccessRefusal(instance,username,joinPasswordCorrect,
+				  spectating) {
+ // null if the user may join the instance, otherwise why not, as
+ // {c:code,e:error string}. joinPasswordCorrect is null if no password
+ // was given, otherwise whether it matched.
+ var access=instance.access;
+ if(!access) { return null; }
+ var reason=getInstanceExclusion(access,username);
+ if(reason) { return reason; }
+ if(access.password && !users[username].admin) {
+  if(joinPasswordCorrect===null) {
+   return {c:"INSTANCE_PASSWORD_REQUIRED",e:"this instance needs a password"};
+  }
+  if(!joinPasswordCorrect) {
+   return {c:"INSTANCE_PASSWORD_WRONG",e:"incorrect instance password"};
+  }
+ }
+ if(!spectating && ("maxControllers" in access) &&
+    countInstanceSeats(instance,username)>=access.maxControllers) {
+  return {c:"INSTANCE_FULL",e:"instance is full",
+	  x:{max:access.maxControllers}};
+ }
+ return null;
+}
+
+function countInstanceSeats(instance,exceptUsername) {
+ // players in the instance or waiting to get in; a user reconnecting is
+ // replacing their own seat rather than taking another
+ var count=0;
+ var maps=[liveControllers,inboxControllers];
+ for(var i in maps) {
+  for(var username in maps[i]) {
+   if(maps[i][username].instance==instance && username!==exceptUsername) {
+    ++count;
+   }
+  }
+ }
+ return count;
+}
+
+function getInstanceAccessStatus(instance) {
+ // what the login page can know before anyone logs in
+ var access=instance.access;
+ if(!access) { return ""; }
+ if(access.adminOnly || access.allowedUsers) { return "locked"; }
+ if(("maxControllers" in access) &&
+    countInstanceSeats(instance,null)>=access.maxControllers) {
+  return "full";
  }
+ if(access.password) { return "password"; }
+ return "";
+}
+
+function createSession(username) {
+ // sweep out expired sessions while we're here, so the map can't grow
+ // without bound from repeat logins
+ var now=Date.now();
+ for(var t in sessions) {
+  if(sessions[t].x<=now) { delete sessions[t]; }
+ }
+ var token=crypto.randomBytes(24).toString('hex');
+ sessions[token]={
+  u:username,
+  x:now+(config.sessionLifetimeMillis||DEFAULT_SESSION_LIFETIME_MILLIS),
+ };
+ return token;
+}
+
+function revokeUserSessions(username) {
+ for(var t in sessions) {
+  if(sessions[t].u==username) { delete sessions[t]; }
+ }
+}
+
+function authenticateUser(controller,message) {
+ // accepts either a session token or a password
+ if("s" in message) {
+  var token=message.s+"";
+  if(!Object.prototype.hasOwnProperty.call(sessions,token) ||
+     sessions[token].x<=Date.now() ||
+     sessions[token].u!==message.u) {
+   controllerError(controller,"SESSION_EXPIRED","session expired or revoked");
+   return false;
+  }
+ }
+ else if(!checkUserPassword(controller,message)) {
+  controllerError(controller,"AUTH_FAILED","incorrect username/password");
+  return false;
+ }
+ return !refuseBannedUser(controller,message.u);
+}
+
+function refuseBannedUser(controller,username) {
+ var ban=getActiveRestriction(users[username],"ban");
+ if(ban) {
+  controllerError(controller,"BANNED",describeRestriction("banned",ban),
+		  {until:ban.until,reason:ban.reason});
+  return true;
+ }
+ return false;
+}
+
+function onStartSessionMessage(controller,message) {
+ if(!checkUserPassword(controller,message)) {
+  controllerError(controller,"AUTH_FAILED","incorrect username/password");
+  return;
+ }
+ if(refuseBannedUser(controller,message.u)) { return; }
+ controllerDone(controller,"SESSION_TOKEN",createSession(message.u));
+}
+
+function onRevokeSessionsMessage(controller,message) {
+ if(!authenticateUser(controller,message)) { return; }
+ revokeUserSessions(message.u);
+ controllerDone(controller,"SESSIONS_REVOKED","sessions revoked");
+}
+
+function onPreloginMessage(controller,message) {
+ var instanceList=getInstanceDisplayList();
  var defaultInstance;
  if(config.defaultInstance) {
   defaultInstance=config.defaultInstance;
@@ -523,7 +1687,11 @@ function onPreloginMessage(controller,message) {
  }
  try {
   controller.socket.send(JSON.stringify({k:"U",n:defaultInstance,
-					 l:instanceList}));
+					 l:instanceList,
+					 a:instanceList.map(function(name) {
+					  return getInstanceAccessStatus(
+					   instances[name]);
+					 })}));
  }
  catch(e) {
  };
@@ -537,36 +1705,62 @@ function onPreloginMessage(controller,message) {
 
 function onLoginMessage(controller,message) {
  if(controller.lifecycle!="new") {
-  controllerError(controller,"client sent login message at inappropriate time");
-  return;
- }
- if(!(message.u in users &&
-      doesPasswordMatchHash(message.p,users[message.u].password))) {
-  controllerError(controller,"incorrect username/password");
+  controllerError(controller,"PROTOCOL_ERROR","client sent login message at inappropriate time");
   return;
  }
+ if(!authenticateUser(controller,message)) { return; }
  var instanceName=message.n+"";
  if(!(instanceName in instances)) {
-  controllerError(controller,"instance name does not exist");
+  controllerError(controller,"INSTANCE_MISSING","instance name does not exist");
   return;
  }
- if(message.u in inboxControllers ||
-    message.u in liveControllers) {
-  controllerError(controller,"you are already logged in (check other browser tabs)");
+ var refusal=getInstanceAccessRefusal(
+  instances[instanceName],message.u,
+  ("j" in message)?
+   isJoinPasswordCorrect(controller,message,instances[instanceName]):null,
+  !!message.v);
+ if(refusal) {
+  controllerError(controller,refusal.c,refusal.e,refusal.x);
   return;
  }
-  
- var instance=instances[instanceName];
+ if(message.v) {
+  makeControllerSpectator(controller,instances[instanceName],message);
+  return;
+ }
+ if(message.u in inboxControllers ||
+    message.u in liveControllers) {
+  if(!message.r) {
+   controllerError(controller,"ALREADY_LOGGED_IN","you are already logged in (check other browser tabs)");
+   return;
+  }
+  // the old controller goes to the outbox, so this login will wait
+  // in the inbox for its disconnect to reach the past horizon
+  if(message.u in liveControllers) {
+   controllerError(liveControllers[message.u],"REPLACED",
+		   "replaced by a reconnecting session");
+  }
+  if(message.u in inboxControllers) {
+   controllerError(inboxControllers[message.u],"REPLACED",
+		   "replaced by a reconnecting session");
+  }
+ }
+  
+ var instance=instances[instanceName];
  unsuspendInstance(instance);
  controller.instance=instance;
  controller.instanceName=instanceName;
  controller.playsetName=instance.playset.getName();
  controller.username=""+message.u;
 
- controller.socket.send(JSON.stringify({
+ var waitMessage={
   k:"W",
   t:getTimingPongForInstance(instance)
- }));
+ };
+ if(!("s" in message)) {
+  // the client can forget the password now and use this to reconnect
+  waitMessage.s=createSession(controller.username);
+ }
+ controller.socket.send(JSON.stringify(waitMessage));
  
  if(controller.username in outboxControllers) {
   controller.lifecycle="inbox";
@@ -580,7 +1774,33 @@ function onLoginMessage(controller,message) {
  }
 }
 
+function makeControllerSpectator(controller,instance,message) {
+ // spectators don't unsuspend the instance; if it's suspended they just
+ // see it standing still until a player unsuspends it
+ controller.lifecycle="spectator";
+ controller.instance=instance;
+ controller.instanceName=instance.name;
+ controller.playsetName=instance.playset.getName();
+ controller.username=""+message.u;
+ var waitMessage={
+  k:"W",
+  t:getTimingPongForInstance(instance)
+ };
+ if(!("s" in message)) {
+  waitMessage.s=createSession(controller.username);
+ }
+ controller.socket.send(JSON.stringify(waitMessage));
+ subscribeControllerToBroadcasts(controller);
+ instance.spectatorControllers[controller.id]=controller;
+ controller.chatTokens=makeChatTokens();
+ sendInstanceSnapshot(controller,false);
+ resetConnectionTimeout(controller);
+}
+
 function makeControllerLive(controller) {
+ // usually a no-op, but a controller that waited in the inbox while moving
+ // from another instance may find this one has gone idle in the meantime
+ unsuspendInstance(controller.instance);
  controller.lifecycle="live"
  liveControllers[controller.username]=controller;
  var instanceFrameNow=getPresentFrameNumber(controller.instance);
@@ -594,22 +1814,34 @@ function makeControllerLive(controller) {
   "u":controller.username,
   "f":instanceFrameNow,
   "d":users[controller.username].config,
+  "b":getUserDataForConnect(controller.instance,controller.username),
   "k":"c",
  };
+ var moved=("entrance" in controller);
+ if(moved) {
+  connectEvent.e=controller.entrance;
+  if(controller.moveAcknowledged) {
+   controller.moving=false;
+  }
+ }
  broadcastEventToInstance(controller.instance,connectEvent,false);
  subscribeControllerToBroadcasts(controller);
- controller.globalChatTokens=config.globalChatBurstSize||
-  DEFAULT_CHAT_BURST_SIZE;
- sendInstanceSnapshot(controller);
+ controller.chatTokens=makeChatTokens();
+ controller.turnCommandTokens=config.turnCommandBurstSize||
+  DEFAULT_TURN_COMMAND_BURST_SIZE;
+ // a moved client's frame timing is for the instance it left
+ sendInstanceSnapshot(controller,moved);
  resetConnectionTimeout(controller);
 
 
 }
 
 
-function controllerError(controller,errorString) {
+function controllerError(controller,code,errorString,details) {
+ var message={k:"E",c:code,e:errorString};
+ if(details) { message.x=details; }
  try {
-  controller.socket.send(JSON.stringify({k:"E",e:errorString}));
+  controller.socket.send(JSON.stringify(message));
  }
  catch(e) {
  };
@@ -621,9 +1853,11 @@ function controllerError(controller,errorString) {
  disconnectController(controller);
 }
 
-function controllerDone(controller,resultString) {
+function controllerDone(controller,code,resultString,details) {
+ var message={k:"D",c:code,d:resultString};
+ if(details) { message.x=details; }
  try {
-  controller.socket.send(JSON.stringify({k:"D",d:resultString}));
+  controller.socket.send(JSON.stringify(message));
  }
  catch(e) {
  };
@@ -652,6 +1886,10 @@ function disconnectController(controller) {
   }
   broadcastEventToInstance(controller.instance,disconnectEvent,false);
  }
+ else if(controller.lifecycle=="spectator") {
+  unsubscribeControllerFromBroadcasts(controller);
+  delete controller.instance.spectatorControllers[controller.id];
+ }
  abandonConnectionTimeout(controller);
  if(controller.id in controllers && controller.lifecycle!="outbox") {
   if(controller.lifecycle=="inbox") {
@@ -663,23 +1901,49 @@ function disconnectController(controller) {
 }
 
 function onFrameMessage(controller,message) {
+ if(controller.instance && isTurnBased(controller.instance)) {
+  controllerError(controller,"PROTOCOL_ERROR","client sent frame message to a turn-based instance");
+  return;
+ }
  if(validateFrameOrCommandMessage(controller,message)) {
-  var inp=""+message.i
-  if(inp.length>playsetInputLengthLimits[controller.playsetName]) {
-   controllerError(controller,"client sent too-large input message");
+  var inp=message.i;
+  if(inp===undefined) {
+   inp="";
+  }
+  else if(!hasStructuredInputs(controller.instance.playset)) {
+   inp=""+inp;
+  }
+  if(getInputLength(inp)>playsetInputLengthLimits[controller.playsetName]) {
+   controllerError(controller,"TOO_LARGE","client sent too-large input message",
+		   {max:playsetInputLengthLimits[controller.playsetName]});
    return;
   }  
+  var verdict=getEventVerdict(controller,"validateInput",[inp]);
+  if(controller.disconnected) { return; }
   controller.minFrameNumber=message.f+1;
   controller.lastCommandNumber=0;
   controller.commandRateCounters={}
+  if(verdict===false) {
+   // as if the frame never came; the client's prediction catches up when
+   // its copy goes unacknowledged
+   resetConnectionTimeout(controller);
+   return;
+  }
+  if(verdict!==true) { inp=verdict; }
   var event={
    "c":controller.id,
    "f":message.f,
    "k":"f",
    "i":inp
   };
-  if(inp!=controller.lastFrameInput) {
-   controller.lastFrameInput=inp;
+  if(!reserveEventMemory(controller,event)) { return; }
+  // the others only need to hear about it if they'd predict otherwise
+  var predicted=(controller.lastFrameInputFrame===message.f-1)?
+      controller.instance.playset.predictNextInput(controller.lastFrameInput):
+      undefined;
+  controller.lastFrameInput=inp;
+  controller.lastFrameInputFrame=message.f;
+  if(predicted===undefined || !areInputsEqual(inp,predicted)) {
    broadcastEventToInstance(controller.instance,event,true);
   }
   else {
@@ -695,24 +1959,20 @@ function onCommandMessage(controller,message) {
  if(validateFrameOrCommandMessage(controller,message)) {
   var serial=message.s|0;
   if(!serial) {
-   controllerError(controller,"client sent command message without serial");
+   controllerError(controller,"PROTOCOL_ERROR","client sent command message without serial");
    return;
   }
   var arg=(message.a||"")+""
   var playsetName=controller.playsetName;
   if(arg.length>playsetArgumentLengthLimits[playsetName]) {
-   controllerError(controller,"client sent too-large command argument");
+   controllerError(controller,"TOO_LARGE",
+		   "client sent too-large command argument",
+		   {max:playsetArgumentLengthLimits[playsetName]});
    return;
   }
   var cmd=message.o+""
   if(!(cmd in playsetCommandRateLimits[playsetName])) {
-   controllerError(controller,"client sent invalid command for this playset");
-   return;
-  }
-  if(cmd in controller.commandRateCounters &&
-     controller.commandRateCounters[cmd]>=
-     playsetCommandRateLimits[playsetName][cmd]) {
-   controllerError(controller,"client exceeded command rate limit");
+   controllerError(controller,"PROTOCOL_ERROR","client sent invalid command for this playset");
    return;
   }
   if(message.f>controller.minFrameNumber) {
@@ -724,8 +1984,19 @@ function onCommandMessage(controller,message) {
    controller.lastCommandNumber=0;
    controller.commandRateCounters={}
   }
+  if(cmd in controller.commandRateCounters &&
+     controller.commandRateCounters[cmd]>=
+     playsetCommandRateLimits[playsetName][cmd]) {
+   controllerError(controller,"RATE_LIMITED","client exceeded command rate limit");
+   return;
+  }
   if(serial<=controller.lastCommandNumber) {
-   controllerError(controller,"client sent out-of-order command message");
+   controllerError(controller,"PROTOCOL_ERROR","client sent out-of-order command message");
+   return;
+  }
+  if(isTurnBased(controller.instance) && !spendTurnCommandToken(controller)) {
+   controllerError(controller,"RATE_LIMITED","client sent commands too quickly");
+   return;
   }
   var event={
    "c":controller.id,
@@ -735,6 +2006,23 @@ function onCommandMessage(controller,message) {
    "a":arg,
    "s":serial,
   }
+  if(isTurnBased(controller.instance)) {
+   // the client's frame number only tells us which turn it was looking
+   // at; the command happens in the next one
+   event.f=controller.instance.pastHorizonFrameNumber;
+  }
+  if("r" in message) {
+   if(!Array.isArray(message.r) ||
+      message.r.length>MAX_COMMAND_RECIPIENTS) {
+    controllerError(controller,"PROTOCOL_ERROR","client sent invalid command recipients");
+    return;
+   }
+   event.r=message.r.map(function(c) { return c|0; });
+  }
+  if(cmd in playsetHiddenCommands[playsetName]) {
+   // not up to the sender, or a client that "forgot" would let everyone see
+   event.r=[];
+  }
   controller.lastCommandNumber=serial;
   if(cmd in controller.commandRateCounters) {
    ++controller.commandRateCounters[cmd];
@@ -742,6 +2030,15 @@ function onCommandMessage(controller,message) {
   else {
    controller.commandRateCounters[cmd]=1;
   }
+  var verdict=getEventVerdict(controller,"validateCommand",[cmd,arg]);
+  if(controller.disconnected) { return; }
+  if(verdict===false) {
+   // its serial and rate limit are spent all the same
+   resetConnectionTimeout(controller);
+   return;
+  }
+  if(verdict!==true) { event.a=verdict; }
+  if(!reserveEventMemory(controller,event)) { return; }
 
   broadcastEventToInstance(controller.instance,event,false);
   resetConnectionTimeout(controller);
@@ -749,227 +2046,1179 @@ function onCommandMessage(controller,message) {
  // else we either errored out, or we are refusing to acknowledge an out-of-date event
 }
 
+function getEventVerdict(controller,hookName,args) {
+ // true to take a client's input or command as sent, false to drop it, or
+ // anything else to take in its place (the input, or the command's
+ // argument).
+ // the playset's hook says whether it's valid and config says what to do
+ // if it isn't; kicking also returns false
+ var playset=controller.instance.playset;
+ if(!playset[hookName]) { return true; }
+ var verdict=playset[hookName].apply(playset,args);
+ if(verdict===true) { return true; }
+ var response=config.invalidEventResponse||DEFAULT_INVALID_EVENT_RESPONSE;
+ if(response=="kick") {
+  controllerError(controller,"INVALID_EVENT",
+		  (hookName=="validateInput")?"client sent an invalid input":
+		  "client sent an invalid command");
+  return false;
+ }
+ if(response=="replace" && (typeof(verdict)=="string" ||
+			    (hookName=="validateInput" && verdict!==false &&
+			     verdict!==undefined &&
+			     hasStructuredInputs(playset)))) {
+  return verdict;
+ }
+ return false;
+}
+
+function getEventMemoryCost(event) {
+ var cost=EVENT_MEMORY_OVERHEAD;
+ if(event.k=="f") { cost+=getInputLength(event.i)*2; }
+ if(event.k=="o") { cost+=(event.o.length+event.a.length)*2; }
+ if(event.r) { cost+=event.r.length*8; }
+ return cost;
+}
+
+function reserveEventMemory(controller,event) {
+ // counts a client's event against its limits until it reaches the past
+ // horizon, or errors out if it would go over them
+ var maxCount=("maxBufferedEventsPerController" in config)?
+     config.maxBufferedEventsPerController:DEFAULT_MAX_BUFFERED_EVENTS;
+ var maxBytes=("maxBufferedEventBytesPerController" in config)?
+     config.maxBufferedEventBytesPerController:
+     DEFAULT_MAX_BUFFERED_EVENT_BYTES;
+ var count=(controller.bufferedEventCount||0)+1;
+ var bytes=(controller.bufferedEventBytes||0)+getEventMemoryCost(event);
+ if(count>maxCount || bytes>maxBytes) {
+  controllerError(controller,"TOO_MANY_EVENTS",
+		  "client has too many events waiting for the past horizon",
+		  {count:maxCount,bytes:maxBytes});
+  return false;
+ }
+ controller.bufferedEventCount=count;
+ controller.bufferedEventBytes=bytes;
+ return true;
+}
+
+function releaseEventMemory(event) {
+ var controller=controllers[event.c];
+ if(controller && controller.bufferedEventCount) {
+  --controller.bufferedEventCount;
+  controller.bufferedEventBytes-=getEventMemoryCost(event);
+ }
+}
+
+function releaseInstanceEventMemory(instance) {
+ // for an instance that won't advance again, whose waiting events would
+ // otherwise stay counted against clients that have moved on
+ for(var key in instance.events) {
+  var forFrame=instance.events[key];
+  for(var i=0;i<forFrame.length;++i) {
+   if(forFrame[i].k=="f" || forFrame[i].k=="o") {
+    releaseEventMemory(forFrame[i]);
+   }
+  }
+ }
+ instance.events={};
+}
+
 function validateFrameOrCommandMessage(controller,message) {
+ if(controller.lifecycle=="spectator") {
+  controllerError(controller,"PROTOCOL_ERROR","spectators cannot send game messages");
+  return false
+ }
  if(controller.lifecycle!="live") {
-  controllerError(controller,"game message sent without a valid login");
+  controllerError(controller,"PROTOCOL_ERROR","game message sent without a valid login");
   return false
  }
  if(!("f" in message)) {
-  controllerError(controller,"malformed message, no frame number");
+  controllerError(controller,"PROTOCOL_ERROR","malformed message, no frame number");
   return false
  }
- if(message.f !== message.f|0) {
-  controllerError(controller,"malformed message, non-integer frame number");
+ if(!Number.isInteger(message.f)) {
+  controllerError(controller,"PROTOCOL_ERROR","malformed message, non-integer frame number");
   return false
  }
- if((message.f|0)<controller.minFrameNumber) {
-  controllerError(controller,"out-of-order message");
+ if(message.f<controller.minFrameNumber) {
+  controllerError(controller,"PROTOCOL_ERROR","out-of-order message");
   return false
  }
  var present=getPresentFrameNumber(controller.instance); 
- if((message.f|0)>present+FUTURE_HORIZON_FRAMES) {
-  controllerError(controller,"client timestamps are running too fast");
+ var futureFrames=isTurnBased(controller.instance)?0:
+     controller.instance.futureHorizonFrames;
+ if(message.f>present+futureFrames) {
+  controllerError(controller,"PROTOCOL_ERROR","client timestamps are running too fast");
   return false
  }
  if(message.f<controller.instance.pastHorizonFrameNumber) {
   // invalid, but in a "don't ack this, it's too lagged" way rather than a
-  // constraint violation
-  //console.log("message.f<controller.instance.pastHorizonFrameNumber");
+  // constraint violation; a frame the instance has passed would never
+  // release the event
   return false;
  }
  return true;
 }
 
-function onGlobalChatMessage(controller,message) {
- if(controller.lifecycle!="live" || !controller.globalChatTokens) {
-  controllerError(controller,"client sent global chat too quickly");
+function isControllerInInstance(controller) {
+ return controller.lifecycle=="live" || controller.lifecycle=="spectator";
+}
+
+function onKeepaliveMessage(controller,message) {
+ if(!isControllerInInstance(controller)) {
+  controllerError(controller,"PROTOCOL_ERROR","keepalive sent without a valid login");
+  return;
+ }
+ resetConnectionTimeout(controller);
+}
+
+function onMoveAcknowledgementMessage(controller,message) {
+ if(!controller.moving || controller.moveAcknowledged) {
+  controllerError(controller,"PROTOCOL_ERROR","client acknowledged a move at inappropriate time");
+  return;
+ }
+ controller.moveAcknowledged=true;
+ if(controller.lifecycle=="live") {
+  controller.moving=false;
+ }
+}
+
+function spendTurnCommandToken(controller) {
+ // false if the controller has none left
+ if(!controller.turnCommandTokens) { return false; }
+ --controller.turnCommandTokens;
+ setTimeout(
+  function() {
+   ++controller.turnCommandTokens;
+  },
+  config.turnCommandWaitMillis||DEFAULT_TURN_COMMAND_WAIT_MILLIS
+ );
+ return true;
+}
+
+function onDesyncReportMessage(controller,message) {
+ if(!isControllerInInstance(controller)) {
+  controllerError(controller,"PROTOCOL_ERROR","desync report sent without a valid login");
+  return;
+ }
+ if(typeof(message.f)!="number" || controller.unansweredHashFrame===null ||
+    message.f>controller.unansweredHashFrame) {
+  // not about a hash the client is still to answer, so each report costs
+  // at most one snapshot per hashed frame
+  return;
+ }
+ controller.unansweredHashFrame=null;
+ var instance=controller.instance;
+ if(isDesyncReportWanted(controller.username)) {
+  var serverFrame=null;
+  for(var i in instance.hashedFrames) {
+   if(instance.hashedFrames[i].f===message.f) {
+    serverFrame=instance.hashedFrames[i];
+   }
+  }
+  if(serverFrame && instance.playset.getControllerView) {
+   serverFrame=getHashedFrameView(instance,serverFrame,controller.id);
+  }
+  saveDesyncReport({
+   n:instance.name,
+   p:instance.playset.getName(),
+   f:message.f,
+   u:controller.username,
+   client:{h:message.h,g:message.g,x:message.x,e:message.e},
+   server:serverFrame,
+  });
+ }
+ if(config.resyncOnDesync) {
+  try {
+   sendInstanceSnapshot(controller,false);
+  }
+  catch(e) {
+   controllerError(controller,"NETWORK_ERROR","server could not send event");
+  }
+ }
+ else {
+  controllerError(controller,"DESYNC","desynchronized from server game state");
+ }
+}
+
+function isDesyncReportWanted(username) {
+ // counts per user rather than per controller, since reconnecting is free
+ var now=Date.now();
+ var windowMillis=config.desyncReportWindowMillis||
+     DEFAULT_DESYNC_REPORT_WINDOW_MILLIS;
+ var times=(desyncReportTimes[username]||[]).filter(function(time) {
+  return time>now-windowMillis;
+ });
+ var wanted=times.length<(("maxDesyncReports" in config)?
+			  config.maxDesyncReports:DEFAULT_MAX_DESYNC_REPORTS);
+ if(wanted) {
+  times.push(now);
+ }
+ desyncReportTimes[username]=times;
+ return wanted;
+}
+
+function getHashedFrameView(instance,hashedFrame,controllerID) {
+ var playset=instance.playset;
+ var view=playset.getControllerView(
+  playset.deserializeGameState(hashedFrame.g),controllerID);
+ return {
+  f:hashedFrame.f,
+  h:playset.hashGameState(view),
+  g:playset.serializeGameState(view),
+  x:getControllerStatusView(instance,hashedFrame.x,controllerID),
+  e:hashedFrame.e.map(function(frame) {
+   return {
+    f:frame.f,
+    e:frame.e.map(function(event) {
+     return getEventView(instance,event,controllerID);
+    })
+   };
+  }),
+ }
+}
+
+function saveDesyncReport(report) {
+ var dir=config.desyncReportDirectory||DEFAULT_DESYNC_REPORT_DIRECTORY;
+ var filename=dir+"/desync_"+getFilenameSafeName(report.n)+"_"+
+     (report.f|0)+"_"+report.u+"_"+getSaveTimeString()+".json";
+ try {
+  fs.mkdirSync(dir,{recursive:true});
+  fs.writeFileSync(filename,JSON.stringify(report,null,1));
+  console.log("desync report saved to "+filename);
+ }
+ catch(e) {
+  console.error("could not save desync report "+filename,e);
+ }
+}
+
+function makeChatTokens() {
+ var tokens={};
+ for(var channel in CHAT_CHANNEL_NAMES) {
+  tokens[channel]=config[CHAT_CHANNEL_NAMES[channel]+"ChatBurstSize"]||
+   DEFAULT_CHAT_BURST_SIZE;
+ }
+ return tokens;
+}
+
+function onChatMessage(controller,message) {
+ var channel=message.k;
+ var channelName=CHAT_CHANNEL_NAMES[channel];
+ if(!isControllerInInstance(controller) || !controller.chatTokens[channel]) {
+  controllerError(controller,"RATE_LIMITED",
+		  "client sent "+channelName+" chat too quickly",{h:channel});
   return
  }
  var m=message.m+""
  var maxChatMessageLength=config.maxChatMessageLength||
      DEFAULT_MAX_CHAT_MESSAGE_LENGTH;
  if(m.length>maxChatMessageLength) {
-  controllerError(controller,
-		  "client sent a global chat message that was too long");
+  controllerError(controller,"TOO_LARGE",
+		  "client sent a "+channelName+" chat message that was too long",
+		  {max:maxChatMessageLength});
+  return;
+ }
+ --controller.chatTokens[channel];
+ grantChatTokenSoon(controller,channel);
+ var mute=getActiveRestriction(users[controller.username],"mute");
+ if(mute) {
+  sendNotice(controller,"MUTED",describeRestriction("muted",mute));
   return;
  }
- --controller.globalChatTokens;
- broadcastMessageGlobally({
-  "k":"g",
+ var chat={
+  "k":channel,
   "c":controller.id,
   "u":controller.username,
-  "m":m
- })
- grantGlobalChatTokenSoon(controller);
+  "m":m,
+  "s":Date.now(),
+  "d":getProfileCode(controller.username),
+ };
+ if(channel=="g") {
+  rememberChatLine(globalChatHistory,chat);
+  broadcastMessageGlobally(chat);
+ }
+ else if(channel=="i") {
+  rememberChatLine(controller.instance.chatHistory,chat);
+  broadcastMessageToInstance(controller.instance,chat);
+ }
+ else {
+  chat.t=message.t+"";
+  var recipients=getUserChatControllers(chat.t);
+  if(!recipients.length) {
+   sendNotice(controller,"USER_OFFLINE",chat.t+" is not online");
+   return;
+  }
+  if(recipients.indexOf(controller)==-1) {
+   recipients.push(controller);
+  }
+  var text=JSON.stringify(chat);
+  for(var i in recipients) {
+   try {
+    recipients[i].socket.send(text);
+   }
+   catch(e) {}
+  }
+ }
 }
 
-function grantGlobalChatTokenSoon(controller) {
+function getProfileCode(username) {
+ // all the client needs of the config to color a username
+ return users[username]?users[username].config.slice(0,3):"";
+}
+
+function rememberChatLine(history,line) {
+ history.push(line);
+ var length=("chatHistoryLength" in config)?config.chatHistoryLength:
+     DEFAULT_CHAT_HISTORY_LENGTH;
+ while(history.length>length) {
+  history.shift();
+ }
+}
+
+function getChatBacklog(instance) {
+ var backlog=globalChatHistory.concat(instance.chatHistory);
+ // stable, so lines from the same millisecond keep their order
+ backlog.sort(function(a,b) { return a.s-b.s; });
+ return backlog;
+}
+
+function sendNotice(controller,code,text) {
+ try {
+  controller.socket.send(JSON.stringify({"k":"N","c":code,"m":text}));
+ }
+ catch(e) {}
+}
+
+function getUserChatControllers(username) {
+ // a user's controllers that can see chat: at most one player, and any
+ // number of spectators
+ var list=[];
+ for(var k in controllers) {
+  if(controllers[k].username===username &&
+     isControllerInInstance(controllers[k])) {
+   list.push(controllers[k]);
+  }
+ }
+ return list;
+}
+
+function grantChatTokenSoon(controller,channel) {
  setTimeout(
   function() {
-   if(controller.lifecycle=="live") {
-    ++controller.globalChatTokens;
+   if(isControllerInInstance(controller)) {
+    ++controller.chatTokens[channel];
     try {
-     controller.socket.send(JSON.stringify({"k":"G"}));
+     controller.socket.send(JSON.stringify({"k":"G","h":channel}));
     }
     catch(e) {}
    }
   },
-  config.globalChatWaitMillis||DEFAULT_CHAT_WAIT_MILLIS
+  config[CHAT_CHANNEL_NAMES[channel]+"ChatWaitMillis"]||
+   DEFAULT_CHAT_WAIT_MILLIS
  );
 }
 
+function onAdminAnnounceMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var m=(message.m||"")+"";
+ if(!m) {
+  controllerError(controller,"INVALID_REQUEST","no announcement given");
+  return;
+ }
+ var announcement={"k":"a","u":message.u,"m":m,"s":Date.now(),
+		   "d":getProfileCode(message.u)};
+ if("n" in message) {
+  var instance=getAdminTargetInstance(controller,message);
+  if(!instance) { return; }
+  announcement.n=instance.name;
+  rememberChatLine(instance.chatHistory,announcement);
+  broadcastMessageToInstance(instance,announcement);
+ }
+ else {
+  rememberChatLine(globalChatHistory,announcement);
+  broadcastMessageGlobally(announcement);
+ }
+ controllerDone(controller,"ANNOUNCED","announced");
+}
+
 function validateUsername(username,controller) {
  if(username.length<MIN_USERNAME_LENGTH) {
-  controllerError(controller,"username too short, minimum "+MIN_USERNAME_LENGTH);
+  controllerError(controller,"INVALID_USERNAME",
+		  "username too short, minimum "+MIN_USERNAME_LENGTH,
+		  {min:MIN_USERNAME_LENGTH});
   return false
  }
  if(username.length>MAX_USERNAME_LENGTH) {
-  controllerError(controller,"username too short, minimum "+MAX_USERNAME_LENGTH);
+  controllerError(controller,"INVALID_USERNAME",
+		  "username too long, maximum "+MAX_USERNAME_LENGTH,
+		  {max:MAX_USERNAME_LENGTH});
   return false
  }
- for(var i=0;i<username.length;++i) {
-  var code=username.codePointAt(i);
+ var problem=getNameCharacterProblem(username);
+ if(problem) {
+  controllerError(controller,"INVALID_USERNAME","usernames "+problem);
+  return false;
+ }
+ return true;
+}
+
+function getNameCharacterProblem(name) {
+ // usernames and instance names both end up in filenames and lists
+ for(var i=0;i<name.length;++i) {
+  var code=name.codePointAt(i);
   if( (code<65 || code>90) && (code<97 || code>122)  &&
       (code<48 || code>57)) {
-   controllerError(controller,"usernames must be ASCII alphanumeric");
-   return false
+   return "must be ASCII alphanumeric";
+  }
+  if(i==0 && code>=48 && code<=57) {
+   return "may not start with a number";
+  }
+ }
+ return null;
+}
+
+function validatePassword(password,controller) {
+ if(typeof(password)!="string") {
+  controllerError(controller,"INVALID_PASSWORD","malformed password data (not a Unicode string)");
+  return false
+ }
+ if(password.length<MIN_PASSWORD_LENGTH) {
+  controllerError(controller,"INVALID_PASSWORD",
+		  "password too short, minimum "+MIN_PASSWORD_LENGTH,
+		  {min:MIN_PASSWORD_LENGTH});
+  return false
+ }
+ if(password.length>MAX_PASSWORD_LENGTH) {
+  controllerError(controller,"INVALID_PASSWORD",
+		  "password too long, maximum "+MAX_PASSWORD_LENGTH,
+		  {max:MAX_PASSWORD_LENGTH});
+  return false
+ }
+ // any unicode string in the right range is fine, no need to get weird
+ return true;
+}
+
+function validateUserConfigLength(config,controller) {
+ if(config.length>MAX_USER_CONFIG_LENGTH) {
+  controllerError(controller,"INVALID_CONFIG","user config data is too long",
+		  {max:MAX_USER_CONFIG_LENGTH});
+  return false
+ }
+ return true;
+}
+
+function validateNewUser(username,password,config,controller) {
+ if(!validateUsername(username,controller)) { return false; }
+ // for passwords, validate type instead of coercing, to avoid
+ // accidental "undefined" or "[object Object]" passwords
+ if(!validatePassword(password,controller)) { return false; }
+ if(!validateUserConfigLength(config,controller)) { return false; }
+ if(username in users) {
+  controllerError(controller,"USERNAME_TAKEN",
+		  "username already in use");
+  return false;
+ }
+ return true;
+}
+
+function validateSelfServeUser(username,password,userConfig,controller) {
+ var existingCount=selfServeUserCounts[controller.remoteAddress]||0;
+ if(!("selfServeUserLimit" in config) ||
+    existingCount>=config.selfServeUserLimit) {
+  controllerError(controller,"SELF_SERVE_REFUSED",
+		  "you are not authorized for self-serve user creation");
+  return false;
+ }
+ return validateNewUser(username,password,userConfig,controller);
+}
+
+function onCreateUserMessage(controller,message) {
+ var usernameWanted=message.u+"";
+ var passwordWanted=message.p; 
+ var configWanted=(message.d||"")+"";
+ if(!validateSelfServeUser(usernameWanted,passwordWanted,configWanted,
+			   controller)) {
+  return;
+ }
+ hashNewPassword(controller,passwordWanted,function(hash) {
+  // the name, or this address's last self-serve user, may have gone to
+  // someone else while the password hashed
+  if(!validateSelfServeUser(usernameWanted,passwordWanted,configWanted,
+			    controller)) {
+   return;
+  }
+  users[usernameWanted]={
+   username:usernameWanted,
+   password:hash,
+   config:configWanted,
+   admin:false,
+   data:{},
+   selfServeAddress:controller.remoteAddress
+  }
+  selfServeUserCounts[controller.remoteAddress]=
+   (selfServeUserCounts[controller.remoteAddress]||0)+1;
+  controllerDone(controller,"USER_CREATED","user created");
+ });
+}
+
+function onChangePasswordMessage(controller,message) {
+ var passwordWanted=message.n;
+ if(!validatePassword(passwordWanted,controller)) { return; }
+ if(!checkUserPassword(controller,message)) {
+  controllerError(controller,"AUTH_FAILED","incorrect username/password");
+  return;
+ }
+ var username=message.u+"";
+ hashNewPassword(controller,passwordWanted,function(hash) {
+  if(!Object.prototype.hasOwnProperty.call(users,username)) {
+   controllerError(controller,"AUTH_FAILED","incorrect username/password");
+   return;
+  }
+  users[username].password=hash;
+  revokeUserSessions(username);
+  controllerDone(controller,"PASSWORD_CHANGED","password changed");
+ });
+}
+
+function onGetConfigMessage(controller,message) {
+ if(!authenticateUser(controller,message)) { return; }
+ controllerDone(controller,"CONFIG",users[message.u].config);
+}
+
+
+function onSetConfigMessage(controller,message) {
+ var configWanted=(message.d||"")+"";
+ if(!validateUserConfigLength(configWanted,controller)) { return; }
+ if(!authenticateUser(controller,message)) { return; }
+ users[message.u].config=configWanted;
+ controllerDone(controller,"CONFIG",users[message.u].config);
+}
+
+function authenticateAdmin(controller,message) {
+ if(!authenticateUser(controller,message)) { return false; }
+ if(!users[message.u].admin) {
+  controllerError(controller,"NOT_ADMIN","you are not authorized for admin operations");
+  return false;
+ }
+ return true;
+}
+
+function getAdminTargetUser(controller,message) {
+ var target=message.t+"";
+ if(!(target in users)) {
+  controllerError(controller,"USER_MISSING","no such user");
+  return null;
+ }
+ return users[target];
+}
+
+function kickUser(username,code,reason,details) {
+ // returns how many controllers were kicked
+ var count=0;
+ if(username in liveControllers) {
+  controllerError(liveControllers[username],code,reason,details);
+  ++count;
+ }
+ if(username in inboxControllers) {
+  controllerError(inboxControllers[username],code,reason,details);
+  ++count;
+ }
+ var controllerIDs=Object.getOwnPropertyNames(controllers);
+ for(var i in controllerIDs) {
+  var ctr=controllers[controllerIDs[i]];
+  if(ctr && ctr.lifecycle=="spectator" && ctr.username==username) {
+   controllerError(ctr,code,reason,details);
+   ++count;
+  }
+ }
+ return count;
+}
+
+function getActiveRestriction(holder,key) {
+ // a ban or mute that hasn't run out, or null; one that has is removed
+ var restriction=holder[key];
+ if(!restriction) { return null; }
+ if(restriction.until!==null && restriction.until<=Date.now()) {
+  delete holder[key];
+  return null;
+ }
+ return restriction;
+}
+
+function describeRestriction(verb,restriction) {
+ var text="you are "+verb;
+ var until=new Date(restriction.until);
+ // a hand-edited state file could hold an until no Date can show
+ if(restriction.until!==null && !isNaN(until.getTime())) {
+  text+=" until "+until.toISOString();
+ }
+ if(restriction.reason) {
+  text+=": "+restriction.reason;
+ }
+ return text;
+}
+
+function makeAdminRestriction(controller,message) {
+ // returns null after erroring out
+ var reason=("r" in message)?message.r+"":"";
+ if(reason.length>MAX_MODERATION_REASON_LENGTH) {
+  controllerError(controller,"INVALID_REQUEST","reason too long, maximum "+
+		  MAX_MODERATION_REASON_LENGTH,
+		  {max:MAX_MODERATION_REASON_LENGTH});
+  return null;
+ }
+ if(!("x" in message) || message.x===null) {
+  return {until:null,reason:reason};
+ }
+ if(typeof(message.x)!="number" || !(message.x>0)) {
+  controllerError(controller,"INVALID_REQUEST",
+		  "duration must be a positive number of milliseconds");
+  return null;
+ }
+ if(message.x>MAX_RESTRICTION_MILLIS) {
+  controllerError(controller,"INVALID_REQUEST","duration too long, maximum "+
+		  MAX_RESTRICTION_MILLIS,{max:MAX_RESTRICTION_MILLIS});
+  return null;
+ }
+ return {until:Date.now()+Math.floor(message.x),reason:reason};
+}
+
+function writeAuditLog(message,target,restriction) {
+ var entry={t:new Date().toISOString(),u:message.u,k:message.k,x:target};
+ if(restriction) {
+  entry.r=restriction.reason;
+  entry.e=restriction.until;
+ }
+ else if("r" in message) {
+  entry.r=message.r+"";
+ }
+ try {
+  fs.appendFileSync(config.auditLogFilename||DEFAULT_AUDIT_LOG_FILENAME,
+		    JSON.stringify(entry)+"\n");
+ }
+ catch(e) {
+  // the action's already done; losing its record isn't worth a crash
+  console.error("could not write audit log",e,entry);
+ }
+}
+
+function onAdminKickMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var user=getAdminTargetUser(controller,message);
+ if(!user) { return; }
+ var reason=("r" in message)?message.r+"":"";
+ if(reason.length>MAX_MODERATION_REASON_LENGTH) {
+  controllerError(controller,"INVALID_REQUEST","reason too long, maximum "+
+		  MAX_MODERATION_REASON_LENGTH,
+		  {max:MAX_MODERATION_REASON_LENGTH});
+  return;
+ }
+ var kicked=kickUser(user.username,"KICKED","kicked by an admin"+
+		     (reason?": "+reason:""),{reason:reason});
+ writeAuditLog(message,user.username,null);
+ if(!kicked) {
+  controllerDone(controller,"USER_NOT_LOGGED_IN","user was not logged in");
+  return;
+ }
+ controllerDone(controller,"USER_KICKED","user kicked");
+}
+
+function onAdminBanMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var user=getAdminTargetUser(controller,message);
+ if(!user) { return; }
+ if(user.username==message.u) {
+  controllerError(controller,"INVALID_REQUEST","admins cannot ban themselves");
+  return;
+ }
+ var ban=makeAdminRestriction(controller,message);
+ if(!ban) { return; }
+ user.ban=ban;
+ kickUser(user.username,"BANNED",describeRestriction("banned",ban),
+	  {until:ban.until,reason:ban.reason});
+ revokeUserSessions(user.username);
+ writeAuditLog(message,user.username,ban);
+ controllerDone(controller,"USER_BANNED","user banned");
+}
+
+function onAdminMuteMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var user=getAdminTargetUser(controller,message);
+ if(!user) { return; }
+ if(user.username==message.u) {
+  controllerError(controller,"INVALID_REQUEST","admins cannot mute themselves");
+  return;
+ }
+ var mute=makeAdminRestriction(controller,message);
+ if(!mute) { return; }
+ user.mute=mute;
+ writeAuditLog(message,user.username,mute);
+ controllerDone(controller,"USER_MUTED","user muted");
+}
+
+function onAdminUnbanOrUnmuteMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var user=getAdminTargetUser(controller,message);
+ if(!user) { return; }
+ var unban=(message.k=="adminUnban");
+ var key=unban?"ban":"mute";
+ var had=!!getActiveRestriction(user,key);
+ delete user[key];
+ writeAuditLog(message,user.username,null);
+ if(!had) {
+  if(unban) {
+   controllerDone(controller,"USER_NOT_BANNED","user was not banned");
+  }
+  else {
+   controllerDone(controller,"USER_NOT_MUTED","user was not muted");
+  }
+  return;
+ }
+ if(unban) {
+  controllerDone(controller,"USER_UNBANNED","user unbanned");
+ }
+ else {
+  controllerDone(controller,"USER_UNMUTED","user unmuted");
+ }
+}
+
+function onAdminBanAddressMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var address=(message.a||"")+"";
+ if(!address) {
+  controllerError(controller,"INVALID_REQUEST","no address given");
+  return;
+ }
+ if(address==controller.remoteAddress) {
+  controllerError(controller,"INVALID_REQUEST","admins cannot ban their own address");
+  return;
+ }
+ var ban=makeAdminRestriction(controller,message);
+ if(!ban) { return; }
+ addressBans[address]=ban;
+ var controllerIDs=Object.getOwnPropertyNames(controllers);
+ for(var i in controllerIDs) {
+  var ctr=controllers[controllerIDs[i]];
+  if(ctr && !ctr.isLocal && ctr.remoteAddress==address &&
+     ctr.lifecycle!="outbox") {
+   controllerError(ctr,"BANNED",describeRestriction("banned",ban),
+		   {until:ban.until,reason:ban.reason});
+  }
+ }
+ writeAuditLog(message,address,ban);
+ controllerDone(controller,"ADDRESS_BANNED","address banned");
+}
+
+function onAdminUnbanAddressMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var address=(message.a||"")+"";
+ var had=!!getActiveRestriction(addressBans,address);
+ delete addressBans[address];
+ writeAuditLog(message,address,null);
+ if(!had) {
+  controllerDone(controller,"ADDRESS_NOT_BANNED","address was not banned");
+  return;
+ }
+ controllerDone(controller,"ADDRESS_UNBANNED","address unbanned");
+}
+
+function onAdminGetAuditLogMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var count=("n" in message)?message.n|0:DEFAULT_AUDIT_LOG_ENTRIES_SHOWN;
+ var lines;
+ try {
+  lines=fs.readFileSync(config.auditLogFilename||DEFAULT_AUDIT_LOG_FILENAME,
+			"utf8").split("\n");
+ }
+ catch(e) {
+  // nothing's been logged yet
+  lines=[];
+ }
+ lines=lines.filter(function(line) { return line; });
+ var entries=[];
+ for(var i=Math.max(lines.length-count,0);i<lines.length;++i) {
+  try {
+   entries.push(JSON.parse(lines[i]));
+  }
+  catch(e) {
+   // a line cut off by a crash mid-append
+  }
+ }
+ controllerDone(controller,"AUDIT_LOG",JSON.stringify(entries));
+}
+
+function onAdminListUsersMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var usernames=Object.getOwnPropertyNames(users);
+ usernames.sort();
+ var list=usernames.map(function(username) {
+  var entry={u:username, a:!!users[username].admin};
+  if("selfServeAddress" in users[username]) {
+   entry.s=users[username].selfServeAddress;
+  }
+  if(getActiveRestriction(users[username],"ban")) {
+   entry.b=true;
+  }
+  if(getActiveRestriction(users[username],"mute")) {
+   entry.m=true;
+  }
+  return entry;
+ });
+ controllerDone(controller,"USER_LIST",JSON.stringify(list));
+}
+
+function onAdminCreateUserMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var usernameWanted=message.t+"";
+ var passwordWanted=message.n;
+ var configWanted=(message.d||"")+"";
+ if(!validateNewUser(usernameWanted,passwordWanted,configWanted,controller)) {
+  return;
+ }
+ hashNewPassword(controller,passwordWanted,function(hash) {
+  // the name may have been taken while the password hashed
+  if(!validateNewUser(usernameWanted,passwordWanted,configWanted,
+		      controller)) {
+   return;
+  }
+  users[usernameWanted]={
+   username:usernameWanted,
+   password:hash,
+   config:configWanted,
+   admin:!!message.a,
+   data:{},
+  }
+  controllerDone(controller,"USER_CREATED","user created");
+ });
+}
+
+function onAdminDeleteUserMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var user=getAdminTargetUser(controller,message);
+ if(!user) { return; }
+ if(user.username==message.u) {
+  controllerError(controller,"INVALID_REQUEST","admins cannot delete themselves");
+  return;
+ }
+ kickUser(user.username,"ACCOUNT_DELETED","your account has been deleted");
+ if("selfServeAddress" in user) {
+  --selfServeUserCounts[user.selfServeAddress];
+ }
+ delete users[user.username];
+ revokeUserSessions(user.username);
+ controllerDone(controller,"USER_DELETED","user deleted");
+}
+
+function onAdminResetPasswordMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var user=getAdminTargetUser(controller,message);
+ if(!user) { return; }
+ if(!validatePassword(message.n,controller)) { return; }
+ hashNewPassword(controller,message.n,function(hash) {
+  if(users[user.username]!==user) {
+   controllerError(controller,"USER_MISSING","no such user");
+   return;
+  }
+  user.password=hash;
+  revokeUserSessions(user.username);
+  controllerDone(controller,"PASSWORD_CHANGED","password changed");
+ });
+}
+
+function onAdminRevokeSessionsMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var user=getAdminTargetUser(controller,message);
+ if(!user) { return; }
+ revokeUserSessions(user.username);
+ controllerDone(controller,"SESSIONS_REVOKED","sessions revoked");
+}
+
+function onAdminGetUserConfigMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var user=getAdminTargetUser(controller,message);
+ if(!user) { return; }
+ controllerDone(controller,"CONFIG",user.config);
+}
+
+function onAdminSetUserConfigMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var user=getAdminTargetUser(controller,message);
+ if(!user) { return; }
+ var configWanted=(message.d||"")+"";
+ if(!validateUserConfigLength(configWanted,controller)) { return; }
+ user.config=configWanted;
+ controllerDone(controller,"CONFIG",user.config);
+}
+
+function onAdminSetAdminMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var user=getAdminTargetUser(controller,message);
+ if(!user) { return; }
+ if(user.username==message.u && !message.a) {
+  controllerError(controller,"INVALID_REQUEST","admins cannot revoke their own admin status");
+  return;
+ }
+ user.admin=!!message.a;
+ if(user.admin) {
+  controllerDone(controller,"ADMIN_GRANTED","admin granted");
+ }
+ else {
+  controllerDone(controller,"ADMIN_REVOKED","admin revoked");
+ }
+}
+
+function getAdminTargetInstance(controller,message) {
+ var instanceName=message.n+"";
+ if(!(instanceName in instances)) {
+  controllerError(controller,"INSTANCE_MISSING","instance name does not exist");
+  return null;
+ }
+ return instances[instanceName];
+}
+
+function makeAdminGameState(controller,message,playset) {
+ // returns undefined (not null, which is a valid JSON game state)
+ // after erroring out
+ if(!("g" in message)) {
+  if(!playset.createGameState) {
+   controllerError(controller,"INVALID_REQUEST","this playset needs an initial game state");
+   return undefined;
+  }
+  return playset.createGameState();
+ }
+ if(typeof(message.g)!="string") {
+  // same convenience as manual serverstate.json
+  return message.g;
+ }
+ try {
+  return playset.deserializeGameState(message.g);
+ }
+ catch(e) {
+  controllerError(controller,"INVALID_REQUEST","could not deserialize game state");
+  return undefined;
+ }
+}
+
+function evictInstanceControllers(instance,code,reason) {
+ var controllerIDs=Object.getOwnPropertyNames(controllers);
+ for(var i in controllerIDs) {
+  var ctr=controllers[controllerIDs[i]];
+  if(ctr && ctr.instance==instance &&
+     (ctr.lifecycle=="live" || ctr.lifecycle=="inbox" ||
+      ctr.lifecycle=="spectator")) {
+   controllerError(ctr,code,reason);
   }
-  if(i==0 && code>=48 && code<=57) {
-   controllerError(controller,"usernames may not start with a number");
-   return false;
+ }
+ // the instance won't be advancing to process their disconnect events,
+ // so do the outbox handoff now
+ for(var username in outboxControllers) {
+  if(outboxControllers[username].instance==instance) {
+   releaseOutboxController(username);
   }
  }
- return true;
+ suspendInstance(instance);
+ releaseInstanceEventMemory(instance);
 }
 
-function validatePassword(password,controller) {
- if(typeof(password)!="string") {
-  controllerError(controller,"malformed password data (not a Unicode string)");
-  return false
+function onAdminListInstancesMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var instanceNames=Object.getOwnPropertyNames(instances);
+ instanceNames.sort();
+ var list=instanceNames.map(function(name) {
+  var instance=instances[name];
+  return {
+   n:name,
+   s:instance.playset.getName(),
+   c:countInstancePlayers(instance),
+   v:Object.getOwnPropertyNames(instance.spectatorControllers).length,
+   b:countInstanceBufferedEventBytes(instance),
+  };
+ });
+ controllerDone(controller,"INSTANCE_LIST",JSON.stringify(list));
+}
+
+function countInstanceBufferedEventBytes(instance) {
+ var bytes=0;
+ for(var id in instance.broadcastControllers) {
+  bytes+=instance.broadcastControllers[id].bufferedEventBytes||0;
  }
- if(password.length<MIN_PASSWORD_LENGTH) {
-  controllerError(controller,"password too short, minimum "+MIN_PASSWORD_LENGTH);
-  return false
+ return bytes;
+}
+
+function onAdminCreateInstanceMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var instanceName=message.n+"";
+ if(!instanceName || instanceName.length>MAX_INSTANCE_NAME_LENGTH) {
+  controllerError(controller,"INVALID_REQUEST","instance name must be 1 to "+
+		  MAX_INSTANCE_NAME_LENGTH+" characters",
+		  {max:MAX_INSTANCE_NAME_LENGTH});
+  return;
  }
- if(password.length>MAX_PASSWORD_LENGTH) {
-  controllerError(controller,"password too short, minimum "+MAX_PASSWORD_LENGTH);
-  return false
+ var problem=getNameCharacterProblem(instanceName);
+ if(problem) {
+  controllerError(controller,"INVALID_REQUEST","instance names "+problem);
+  return;
  }
- // any unicode string in the right range is fine, no need to get weird
- return true;
+ if(instanceName in instances) {
+  controllerError(controller,"INSTANCE_NAME_TAKEN","instance name already in use");
+  return;
+ }
+ var playset=getPlayset(message.y+"");
+ if(!playset) {
+  controllerError(controller,"PLAYSET_MISSING","no such playset");
+  return;
+ }
+ var timing=parseFrameTiming(message.t);
+ if(typeof(timing)=="string") {
+  controllerError(controller,"INVALID_REQUEST",timing);
+  return;
+ }
+ var state=makeAdminGameState(controller,message,playset);
+ if(state===undefined) { return; }
+ instances[instanceName]=makeInstance(instanceName,playset,state,{},timing);
+ var listKey=getInstanceListConfigKey();
+ if(listKey && config[listKey].indexOf(instanceName)==-1) {
+  config[listKey].push(instanceName);
+ }
+ controllerDone(controller,"INSTANCE_CREATED","instance created");
 }
 
-function validateUserConfigLength(config,message) {
- if(config.length>MAX_USER_CONFIG_LENGTH) {
-  controllerError(controller,"user config data is too long");
-  return false
- }
- return true;
+function onAdminResetInstanceMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var instance=getAdminTargetInstance(controller,message);
+ if(!instance) { return; }
+ var state=makeAdminGameState(controller,message,instance.playset);
+ if(state===undefined) { return; }
+ evictInstanceControllers(instance,"INSTANCE_RESET",
+			  (message.r||"")+""||"instance reset");
+ instance.retired=true;
+ instances[instance.name]=makeInstance(instance.name,instance.playset,
+				       state,{},instance.timing);
+ instances[instance.name].record=instance.record;
+ instances[instance.name].access=instance.access;
+ controllerDone(controller,"INSTANCE_RESET","instance reset");
 }
 
-function onCreateUserMessage(controller,message) {
- // later: alternate flow for the admin version of the message
- var usernameWanted=message.u+"";
- if(!validateUsername(usernameWanted,controller)) { return; }
- // for passwords, validate type instead of coercing, to avoid
- // accidental "undefined" or "[object Object]" passwords
- var passwordWanted=message.p; 
- if(!validatePassword(passwordWanted,controller)) { return; }
- var configWanted=(message.c||"")+"";
- if(!validateUserConfigLength(configWanted,controller)) { return; }
- var existingCount=selfServeUserCounts[controller.remoteAddress]||0;
- if(!("selfServeUserLimit" in config) ||
-    existingCount>=config.selfServeUserLimit) {
-  controllerError(controller,
-		  "you are not authorized for self-serve user creation");
+function onAdminSetInstanceRecordingMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var instance=getAdminTargetInstance(controller,message);
+ if(!instance) { return; }
+ instance.record=!!message.a;
+ if(instance.record && !instance.suspended) {
+  startReplayRecording(instance);
  }
- if(usernameWanted in users) {
-  controllerError(controller,
-		  "username already in use");
+ if(!instance.record) {
+  stopReplayRecording(instance);
+ }
+ if(instance.record) {
+  controllerDone(controller,"RECORDING_ON","recording");
  }
- users[usernameWanted]={
-  username:usernameWanted,
-  password:makePasswordHash(passwordWanted),
-  config:configWanted,
-  admin:false,
-  selfServeAddress:controller.remoteAddress
+ else {
+  controllerDone(controller,"RECORDING_OFF","not recording");
  }
- selfServeUserCounts[controller.remoteAddress]=existingCount+1;
- controllerDone(controller,"user created");
 }
 
-function onChangePasswordMessage(controller,message) {
- // later: alternate flow for the admin version of the message
- var passwordWanted=message.p+"";
- if(!validatePassword(passwordWanted,controller)) { return; }
- if(!(message.u in users &&
-      doesPasswordMatchHash(message.p,users[message.u].password))) {
-  controllerError(controller,"incorrect username/password");
-  return;
- }
- users[message.u].password=makePasswordHash(passwordWanted);
- controllerDone(controller,"password changed");
+function onAdminGetInstanceAccessMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var instance=getAdminTargetInstance(controller,message);
+ if(!instance) { return; }
+ controllerDone(controller,"INSTANCE_ACCESS",JSON.stringify(instance.access));
 }
 
-function onGetConfigMessage(controller,message) {
- // later: alternate flow for the admin version of the message
- if(!(message.u in users &&
-      doesPasswordMatchHash(message.p,users[message.u].password))) {
-  controllerError(controller,"incorrect username/password");
+function onAdminSetInstanceAccessMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var instance=getAdminTargetInstance(controller,message);
+ if(!instance) { return; }
+ var access=parseInstanceAccess(message.a);
+ if(typeof(access)=="string") {
+  controllerError(controller,"INVALID_REQUEST",access);
+  return;
+ }
+ if(access && access.plaintextPassword) {
+  hashNewPassword(controller,access.plaintextPassword,function(hash) {
+   delete access.plaintextPassword;
+   access.password=hash;
+   if(instance.retired) {
+    controllerError(controller,"INSTANCE_MISSING","instance name does not exist");
+    return;
+   }
+   setInstanceAccess(controller,instance,access);
+  });
   return;
  }
- controllerDone(controller,users[message.u].config);
+ setInstanceAccess(controller,instance,access);
 }
 
-
-function onSetConfigMessage(controller,message) {
- // later: alternate flow for the admin version of the message
- var configWanted=(message.d||"")+"";
- if(!validateUserConfigLength(configWanted,controller)) { return; }
- if(!(message.u in users &&
-      doesPasswordMatchHash(message.p,users[message.u].password))) {
-  controllerError(controller,"incorrect username/password");
-  return;
+function setInstanceAccess(controller,instance,access) {
+ instance.access=access;
+ // a password or a lower limit only keeps out people who haven't joined
+ // yet, but someone no longer allowed in at all has to go
+ var controllerIDs=Object.getOwnPropertyNames(controllers);
+ for(var i in controllerIDs) {
+  var ctr=controllers[controllerIDs[i]];
+  if(ctr && ctr.instance==instance &&
+     (ctr.lifecycle=="live" || ctr.lifecycle=="inbox" ||
+      ctr.lifecycle=="spectator")) {
+   var reason=getInstanceExclusion(access,ctr.username);
+   if(reason) {
+    controllerError(ctr,reason.c,reason.e);
+   }
+  }
  }
- users[message.u].config=configWanted;
- controllerDone(controller,users[message.u].config);
+ controllerDone(controller,"INSTANCE_ACCESS_SET","instance access set");
 }
 
-function onShutdownMessage(controller,message) {
- if(!(message.u in users &&
-      doesPasswordMatchHash(message.p,users[message.u].password))) {
-  controllerError(controller,"incorrect username/password");
-  return;
+function onAdminRetireInstanceMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
+ var instance=getAdminTargetInstance(controller,message);
+ if(!instance) { return; }
+ evictInstanceControllers(instance,"INSTANCE_CLOSED",
+			  (message.r||"")+""||"instance closed");
+ instance.retired=true;
+ delete instances[instance.name];
+ var listKey=getInstanceListConfigKey();
+ if(listKey) {
+  config[listKey]=config[listKey].filter(function(name) {
+   return name!=instance.name;
+  });
  }
- if(!users[message.u].admin) {
-  controllerError(controller,"you are not authorized to shut down the server");
-  return;
+ if(config.defaultInstance==instance.name) {
+  delete config.defaultInstance;
  }
+ controllerDone(controller,"INSTANCE_RETIRED","instance retired");
+}
+
+function onShutdownMessage(controller,message) {
+ if(!authenticateAdmin(controller,message)) { return; }
 
- controllerDone(controller,"shutdown in progress"); 
+ controllerDone(controller,"SHUTTING_DOWN","shutdown in progress");
 
  var reason=(message.r+"")||"server shutdown"
  
  var controllerIDs=Object.getOwnPropertyNames(controllers);
  for(var i in controllerIDs) {
-  controllerError(controllers[controllerIDs[i]],reason);
+  controllerError(controllers[controllerIDs[i]],"SERVER_SHUTDOWN",reason,
+		  {reason:reason});
+ }
+ clearInterval(autosaveInterval);
+ for(var name in instances) {
+  stopReplayRecording(instances[name]);
  }
  
  var toSave=serializeServerState();
- var d=new Date();
- var timeString=d.toISOString().replace(/:/g,"_"); 
+ var timeString=getSaveTimeString();
 
  var saveFilename;
  
- // later: make save rotations cleaner to allow for better daemonization
  if(message.k=="cleanShutdown") {
   saveFilename="statebackup_"+timeString+".json";
-  fs.writeFileSync(saveFilename,toSave);
-  fs.writeFileSync(STATE_FILENAME,toSave);
+  writeStateFileAtomically(saveFilename,toSave);
+  writeStateFileAtomically(STATE_FILENAME,toSave);
  }
  else {
   saveFilename="dirtystate_"+timeString+".json";
-  fs.writeFileSync(saveFilename,toSave);
+  writeStateFileAtomically(saveFilename,toSave);
+  setAsideAutosaves();
  }
  wsServer.close();
  httpServer.close();
@@ -996,12 +3245,26 @@ function addInstanceEvent(instance,event) {
  else {
   instance.events[event.f].push(event);
  }
+ if(isTurnBased(instance)) {
+  scheduleAdvance(instance);
+ }
+}
+
+function broadcastMessageToInstance(instance,message) {
+ message=JSON.stringify(message);
+ for(var k in instance.broadcastControllers) {
+  try {
+   instance.broadcastControllers[k].socket.send(message);
+  }
+  catch(e) {
+  }
+ }
 }
 
 function broadcastMessageGlobally(message) {
  message=JSON.stringify(message);
  for(var k in controllers) {
-  if(controllers[k].lifecycle=="live") {
+  if(isControllerInInstance(controllers[k])) {
    try {
     controllers[k].socket.send(message);
    }
@@ -1017,22 +3280,72 @@ function broadcastEventToInstance(instance,event,addTimestamp) {
  for(var i in instance.broadcastControllers) {
   var controller=instance.broadcastControllers[i];
   try {
+   var view=getEventView(instance,event,i|0);
    if(addTimestamp && (i|0)==event.c) {
     var injected={}
     for(var k in event) { injected[k]=event[k]; }
     injected.t=getTimingPongForInstance(instance);
     controller.socket.send(JSON.stringify(injected));
    }
+   else if(view!=event) {
+    controller.socket.send(JSON.stringify(view));
+   }
    else {
     controller.socket.send(msg);
    }
   }
   catch(e) {
-   controllerError(controller,"server could not send event");
+   controllerError(controller,"NETWORK_ERROR","server could not send event");
   }
  }
 }
 
+function getEventView(instance,event,controllerID) {
+ // the event itself if this controller may see all of it, otherwise
+ // a copy with the hidden parts nulled out
+ var hide=null;
+ if(event.k=="o" && event.r && event.c!=controllerID &&
+    event.r.indexOf(controllerID)==-1) {
+  hide="a";
+ }
+ else if(event.k=="f" && event.c!=controllerID &&
+	 instance.playset.areInputsHidden &&
+	 instance.playset.areInputsHidden()) {
+  hide="i";
+ }
+ else if(event.k=="x" ||
+	 (event.k=="r" && event.r && event.r.indexOf(controllerID)==-1)) {
+  hide="v";
+ }
+ if(!hide) {
+  return event;
+ }
+ var view={};
+ for(var k in event) { view[k]=event[k]; }
+ view[hide]=(hide=="i")?"":null;
+ return view;
+}
+
+function getControllerStatusView(instance,controllerStatus,controllerID) {
+ if(!instance.playset.areInputsHidden ||
+    !instance.playset.areInputsHidden()) {
+  return controllerStatus;
+ }
+ var view={};
+ for(var c in controllerStatus) {
+  view[c]={u:controllerStatus[c].u,
+	   i:(c==controllerID)?controllerStatus[c].i:""};
+ }
+ return view;
+}
+
+function getGameStateView(instance,state,controllerID) {
+ if(instance.playset.getControllerView) {
+  return instance.playset.getControllerView(state,controllerID);
+ }
+ return state;
+}
+
 function storeAndEchoInstanceEvent(instance,event,addTimestamp) {
  addInstanceEvent(instance,event);
  var msg=JSON.stringify(event);
@@ -1050,77 +3363,210 @@ function storeAndEchoInstanceEvent(instance,event,addTimestamp) {
    }
   }
   catch(e) {
-   controllerError(controller,"server could not send event");
+   controllerError(controller,"NETWORK_ERROR","server could not send event");
   }
  }
 }
 
-function sendInstanceSnapshot(controller) {
+function sendInstanceSnapshot(controller,withTimingPong) {
  var instance=controller.instance;
  var eventsPile=[]
  for(var key in instance.events) {
   var forFrame=instance.events[key];
   for(var i=0;i<forFrame.length;++i) {
-   eventsPile.push(forFrame[i]);
+   eventsPile.push(getEventView(instance,forFrame[i],controller.id));
   }
  } 
  var snapshot={
   k:"S",
   p:instance.playset.getName(),
   c:controller.id,
-  x:instance.pastHorizonControllerStatus,
-  g:instance.playset.serializeGameState(instance.pastHorizonState),
+  x:getControllerStatusView(instance,instance.pastHorizonControllerStatus,
+			    controller.id),
+  g:instance.playset.serializeGameState(
+   getGameStateView(instance,instance.pastHorizonState,controller.id)),
   f:instance.pastHorizonFrameNumber,
   e:eventsPile,
-  r:FPS,
+  n:instance.name,
+  r:{f:instance.fps,p:instance.pastHorizonFrames,
+     q:instance.futureHorizonFrames},
   l:config.maxChatMessageLength||
    DEFAULT_MAX_CHAT_MESSAGE_LENGTH,
-  m:controller.globalChatTokens,
+  b:{m:MAX_INBOUND_MESSAGE_LENGTH,h:MAX_LARGE_INBOUND_MESSAGE_LENGTH},
+  m:controller.chatTokens,
+  h:getChatBacklog(instance),
  }
+ if(controller.lifecycle=="spectator") {
+  snapshot.v=1;
+ }
+ var turnMillisLeft=getTurnMillisLeft(instance);
+ if(turnMillisLeft!==null) {
+  snapshot.d=turnMillisLeft;
+ }
+ if(withTimingPong) {
+  snapshot.t=getTimingPongForInstance(instance);
+ }
+ controller.unansweredHashFrame=null;
  controller.socket.send(JSON.stringify(snapshot)); 
 }
 
 function getPresentFrameNumber(instance) {
- return instance.pastHorizonFrameNumber+PAST_HORIZON_FRAMES
+ if(isTurnBased(instance)) {
+  return instance.pastHorizonFrameNumber;
+ }
+ return instance.pastHorizonFrameNumber+instance.pastHorizonFrames;
+}
+
+function isTurnBased(instance) {
+ return !!(instance.playset.isTurnBased && instance.playset.isTurnBased());
+}
+
+function hasStructuredInputs(playset) {
+ return !!(playset.areInputsStructured && playset.areInputsStructured());
+}
+
+function startTurnDeadline(instance) {
+ var millis=null;
+ if(instance.playset.getTurnDeadlineMillis) {
+  millis=instance.playset.getTurnDeadlineMillis(instance.pastHorizonState);
+ }
+ if(typeof(millis)=="number") {
+  instance.turnDeadlineTime=performance.now()+millis;
+ }
+ else {
+  instance.turnDeadlineTime=null;
+ }
+}
+
+function getTurnMillisLeft(instance) {
+ if(!isTurnBased(instance) || instance.turnDeadlineTime===null) {
+  return null;
+ }
+ var left=Math.ceil(instance.turnDeadlineTime-performance.now());
+ return (left>0)?left:0;
 }
 
 function getTimingPongForInstance(instance) {
  // pretending this instance has never been suspended,
  // what is the difference between perftime now and
  // perftime at frame zero? This should stay near
- // getPresentFrameNumber*1000/FPS as frames advance in an
+ // getPresentFrameNumber*1000/fps as frames advance in an
  // unsuspended instance. submillisecond precision would be pointless
  // so flooring it to send fewer digits
  var timeZero=instance.pastHorizonPerfTime-
-     (instance.pastHorizonFrameNumber*1000/FPS);
+     (instance.pastHorizonFrameNumber*1000/instance.fps);
  return Math.floor(performance.now()-timeZero);
 }
 
 function unsuspendInstance(instance) {
  if(instance.suspended) {
   instance.suspended=false;
-  var freshHorizon=performance.now()-PAST_HORIZON_FRAMES*1000/FPS;
+  var freshHorizon=performance.now()-
+      instance.pastHorizonFrames*1000/instance.fps;
   if(freshHorizon>instance.pastHorizonPerfTime) {
    instance.pastHorizonPerfTime=freshHorizon;
   }
+  if(instance.record) {
+   startReplayRecording(instance);
+  }
+  if(isTurnBased(instance)) {
+   // nobody was around to take the turn, so it starts over
+   startTurnDeadline(instance);
+  }
   scheduleAdvance(instance);
+  // spectators' idea of frame timing is now wrong, so start them over
+  for(var i in instance.spectatorControllers) {
+   var spectator=instance.spectatorControllers[i];
+   try {
+    sendInstanceSnapshot(spectator,true);
+   }
+   catch(e) {
+    controllerError(spectator,"NETWORK_ERROR","server could not send event");
+   }
+  }
  }
 }
 
+function countInstancePlayers(instance) {
+ return Object.getOwnPropertyNames(instance.broadcastControllers).length-
+  Object.getOwnPropertyNames(instance.spectatorControllers).length;
+}
+
 function suspendInstance(instance) {
  if(!instance.suspended) {
   instance.suspended=true;
   clearTimeout(instance.advanceTimeout);
+  stopReplayRecording(instance);
+ }
+}
+
+function startReplayRecording(instance) {
+ if(instance.replayFilename) { return; }
+ var dir=config.replayDirectory||DEFAULT_REPLAY_DIRECTORY;
+ var filename=dir+"/"+getFilenameSafeName(instance.name)+"_"+
+     getSaveTimeString()+".jsonl";
+ var header={
+  n:instance.name,
+  p:instance.playset.getName(),
+  f:instance.pastHorizonFrameNumber,
+  r:instance.fps,
+  g:instance.playset.serializeGameState(instance.pastHorizonState),
+  x:instance.pastHorizonControllerStatus,
+ }
+ try {
+  fs.mkdirSync(dir,{recursive:true});
+  fs.writeFileSync(filename,JSON.stringify(header)+"\n");
+ }
+ catch(e) {
+  // a replay isn't worth interrupting the game over
+  console.error("could not start replay "+filename,e);
+  return;
+ }
+ instance.replayFilename=filename;
+ instance.replayLines=[];
+}
+
+function recordReplayFrame(instance,frameNumber,sortedEvents) {
+ if(!instance.replayFilename) { return; }
+ if(sortedEvents.length) {
+  instance.replayLines.push(JSON.stringify({f:frameNumber,e:sortedEvents}));
+ }
+ if(frameNumber%Math.max(1,Math.round(
+  instance.fps*REPLAY_FLUSH_INTERVAL_SECONDS))==0) {
+  flushReplay(instance);
+ }
+}
+
+function flushReplay(instance) {
+ if(!instance.replayFilename || !instance.replayLines.length) { return; }
+ try {
+  fs.appendFileSync(instance.replayFilename,
+		    instance.replayLines.join("\n")+"\n");
+ }
+ catch(e) {
+  console.error("could not write replay "+instance.replayFilename,e);
  }
+ instance.replayLines=[];
+}
+
+function stopReplayRecording(instance) {
+ if(!instance.replayFilename) { return; }
+ instance.replayLines.push(JSON.stringify({f:instance.pastHorizonFrameNumber}));
+ flushReplay(instance);
+ instance.replayFilename=null;
 }
 
 function scheduleAdvance(instance) {
  if(instance.suspended) { return; }
+ if(isTurnBased(instance)) {
+  scheduleTurnAdvance(instance);
+  return;
+ }
  var nextFrameTime=instance.pastHorizonPerfTime+
-     (PAST_HORIZON_FRAMES+1)*1000/FPS;
+     (instance.pastHorizonFrames+1)*1000/instance.fps;
  var wait=nextFrameTime-performance.now();
  if(wait<0) { wait=0; } 
- setTimeout(function() {
+ instance.advanceTimeout=setTimeout(function() {
   onAdvanceTimeout(instance);
  },wait);
 }
@@ -1128,15 +3574,16 @@ function scheduleAdvance(instance) {
 function onAdvanceTimeout(instance) {
  //console.log("tick (stateAdvance timeout)");
  var now=performance.now();
+ var frameMillis=1000/instance.fps;
  var nextFrameTime=instance.pastHorizonPerfTime+
-     (PAST_HORIZON_FRAMES+1)*1000/FPS;
+     (instance.pastHorizonFrames+1)*frameMillis;
  while(now>=nextFrameTime) {
   advanceHorizonState(instance);
-  instance.pastHorizonPerfTime+=1000/FPS;
-  nextFrameTime+=1000/FPS;
+  instance.pastHorizonPerfTime+=frameMillis;
+  nextFrameTime+=frameMillis;
  }
  if(Object.getOwnPropertyNames(instance.events).length==0 &&
-    Object.getOwnPropertyNames(instance.broadcastControllers).length==0){
+    countInstancePlayers(instance)==0) {
   suspendInstance(instance);
   //console.log("suspending")
   instance.advanceTimeout=null;
@@ -1147,13 +3594,57 @@ function onAdvanceTimeout(instance) {
  }
 }
 
-const EVENT_KIND_ORDERING={"c":0,"o":1,"f":2,"d":3}
+function scheduleTurnAdvance(instance) {
+ // as soon as there's something to advance with, otherwise at the deadline
+ clearTimeout(instance.advanceTimeout);
+ var wait;
+ if(instance.events[instance.pastHorizonFrameNumber]) {
+  wait=0;
+ }
+ else if(instance.turnDeadlineTime!==null) {
+  wait=instance.turnDeadlineTime-performance.now();
+  if(wait<0) { wait=0; }
+ }
+ else {
+  instance.advanceTimeout=null;
+  return;
+ }
+ instance.advanceTimeout=setTimeout(function() {
+  onTurnAdvanceTimeout(instance);
+ },wait);
+}
+
+function onTurnAdvanceTimeout(instance) {
+ instance.advanceTimeout=null;
+ if(!instance.events[instance.pastHorizonFrameNumber]) {
+  if(instance.turnDeadlineTime===null ||
+     performance.now()<instance.turnDeadlineTime) {
+   scheduleTurnAdvance(instance);
+   return;
+  }
+  broadcastEventToInstance(instance,{
+   "f":instance.pastHorizonFrameNumber,
+   "k":"t",
+  },false);
+ }
+ advanceHorizonState(instance);
+ if(Object.getOwnPropertyNames(instance.events).length==0 &&
+    countInstancePlayers(instance)==0) {
+  suspendInstance(instance);
+ }
+ else {
+  scheduleTurnAdvance(instance);
+ }
+}
+
+const EVENT_KIND_ORDERING={"c":0,"o":1,"f":2,"d":3,"x":4,"r":5,"t":6,"m":7}
 
 function instanceEventComparator(a,b) {
  var ak=EVENT_KIND_ORDERING[a.k], bk=EVENT_KIND_ORDERING[b.k]
  if(ak<bk) { return -1; } if(ak>bk) { return 1; }
  if(a.u<b.u) { return -1; } if(a.u>b.u) { return 1; }
  if(a.s<b.s) { return -1; } if(a.s>b.s) { return 1; }
+ if(a.h<b.h) { return -1; } if(a.h>b.h) { return 1; }
  return 0;
 }
 
@@ -1161,35 +3652,40 @@ function integerComparator(a,b) {
  if(a<b) { return -1; } if(a>b) { return 1; } return 0;
 }
 
-function advanceHorizonState(instance) {
- var events=instance.events[instance.pastHorizonFrameNumber];
- if(events) { delete instance.events[instance.pastHorizonFrameNumber]; }
- else { events=[]; }
-
+function advanceGameStateByEvents(playset,state,controllerStatus,events) {
+ // the core of a frame advance, shared with playsettest.js. events are
+ // sorted in place and controllerStatus is updated, except that
+ // disconnected controllers are left for the caller to delete; returns
+ // the list of those.
  var connects=[];
  var commands=[];
  var inputs=[];
  var disconnects=[];
  events.sort(instanceEventComparator);
+ for(var c in controllerStatus) {
+  controllerStatus[c].i=playset.predictNextInput(controllerStatus[c].i);
+ }
  
  for(var i in events) {
   if(events[i].k=="c") {
-   instance.pastHorizonControllerStatus[events[i].c]={u:events[i].u,i:""};
-   connects.push({"c":events[i].c,"u":events[i].u,"d":events[i].d});
+   controllerStatus[events[i].c]={u:events[i].u,i:""};
+   connects.push({"c":events[i].c,"u":events[i].u,"d":events[i].d,
+		  "e":("e" in events[i])?events[i].e:null,
+		  "b":events[i].b||{}});
   }
   if(events[i].k=="o") {
    commands.push({"c":events[i].c,"o":events[i].o,"a":events[i].a});
   }
   if(events[i].k=="f") {
-   if(events[i].c in instance.pastHorizonControllerStatus) {
-    instance.pastHorizonControllerStatus[events[i].c].i=events[i].i;
+   if(events[i].c in controllerStatus) {
+    controllerStatus[events[i].c].i=events[i].i;
    }
    else {
     // this is bad!
     
     console.error("frame event received from a controller that should not be able to send events to this instance.");
     console.error("event list: ",events[i]);
-    console.error("controller status: ",instance.pastHorizonControllerStatus);
+    console.error("controller status: ",controllerStatus);
     throw new Error("event order invariant violation");
     
    }
@@ -1197,46 +3693,266 @@ function advanceHorizonState(instance) {
   if(events[i].k=="d") {
    disconnects.push(events[i].c);
   }
+  // secrets go to the playset ahead of everything else in the frame
+  if(events[i].k=="x") {
+   playset.applySecret(state,events[i].h,events[i].v);
+  }
+  if(events[i].k=="r") {
+   playset.applyReveal(state,events[i].h,events[i].v);
+  }
+  if(events[i].k=="t" && playset.applyTurnDeadline) {
+   playset.applyTurnDeadline(state);
+  }
+  if(events[i].k=="m" && playset.applyMoveRefused) {
+   playset.applyMoveRefused(state,events[i].c,events[i].n,events[i].a);
+  }
  }
- var controllersConnected=Object.getOwnPropertyNames(instance.pastHorizonControllerStatus);
+ var controllersConnected=Object.getOwnPropertyNames(controllerStatus);
  controllersConnected.sort(integerComparator);
  for(var i in controllersConnected) {
   var c=controllersConnected[i];
-  inputs.push({"c":c,"i":instance.pastHorizonControllerStatus[c].i});  
+  inputs.push({"c":c,"i":controllerStatus[c].i});  
+ }
+ playset.advanceGameState(state,connects,commands,inputs,disconnects);
+ return disconnects;
+}
+
+function getUserDataForConnect(instance,username) {
+ var bag={};
+ if(!instance.playset.getUserDataKeys) { return bag; }
+ var data=users[username].data;
+ var keys=instance.playset.getUserDataKeys();
+ for(var i in keys) {
+  if(keys[i] in data) {
+   bag[keys[i]]=data[keys[i]];
+  }
+ }
+ return bag;
+}
+
+function saveUserData(instance) {
+ var playset=instance.playset;
+ if(!playset.getUserDataKeys || !playset.getUserData) { return; }
+ var keys=playset.getUserDataKeys();
+ var controllerStatus=instance.pastHorizonControllerStatus;
+ for(var c in controllerStatus) {
+  var user=users[controllerStatus[c].u];
+  if(!user) { continue; } // deleted while still in the outbox
+  var bag=playset.getUserData(instance.pastHorizonState,+c);
+  if(!bag || typeof(bag)!="object") { continue; }
+  for(var i in keys) {
+   if(!(keys[i] in bag)) { continue; }
+   // stored as a JSON round trip, so the playset can't keep a reference
+   // into the user object and nothing unsaveable gets in
+   var json=JSON.stringify(bag[keys[i]]);
+   if(json===undefined) { continue; }
+   if(JSON.stringify(user.data[keys[i]])!==json) {
+    user.data[keys[i]]=JSON.parse(json);
+   }
+  }
+ }
+}
+
+function issueSecretsAndReveals(instance) {
+ // these are stamped for the present like disconnects are, so they're
+ // ahead of every client's horizon; the pending counts keep us from
+ // issuing the same thing again before the horizon state knows about it
+ var playset=instance.playset;
+ var state=instance.pastHorizonState;
+ if(playset.countSecretsWanted) {
+  var wanted=playset.countSecretsWanted(state)-instance.pendingSecretCount;
+  for(var i=0;i<wanted;++i) {
+   var secret=crypto.randomBytes(SECRET_BYTES).toString("hex");
+   ++instance.pendingSecretCount;
+   broadcastEventToInstance(instance,{
+    "f":getPresentFrameNumber(instance),
+    "k":"x",
+    "h":getSecretCommitment(secret),
+    "v":secret,
+   },false);
+  }
+ }
+ if(playset.getSecretsToReveal) {
+  var reveals=playset.getSecretsToReveal(state);
+  for(var i in reveals) {
+   if(reveals[i].h in instance.pendingReveals) {
+    continue;
+   }
+   instance.pendingReveals[reveals[i].h]=true;
+   var event={
+    "f":getPresentFrameNumber(instance),
+    "k":"r",
+    "h":reveals[i].h,
+    "v":reveals[i].v,
+   };
+   if(reveals[i].r) {
+    event.r=reveals[i].r;
+   }
+   broadcastEventToInstance(instance,event,false);
+  }
+ }
+}
+
+function issueMoves(instance) {
+ if(!instance.playset.getMoveRequests) { return; }
+ var requests=instance.playset.getMoveRequests(instance.pastHorizonState);
+ for(var i in requests) {
+  var controller=controllers[requests[i].c];
+  if(!controller || controller.instance!=instance ||
+     controller.lifecycle!="live" || controller.moveRefusalPending) {
+   // gone already, or on its way, or the playset hasn't seen the refusal
+   continue;
+  }
+  var destinationName=requests[i].n+"";
+  var entrance=("e" in requests[i])?requests[i].e+"":"";
+  var refusal=checkEntrance(controller,destinationName,entrance);
+  if(refusal===null) {
+   moveController(controller,instances[destinationName],entrance);
+  }
+  else {
+   controller.moveRefusalPending=true;
+   broadcastEventToInstance(instance,{
+    "c":controller.id,
+    "f":getPresentFrameNumber(instance),
+    "k":"m",
+    "n":destinationName,
+    "a":refusal,
+   },false);
+  }
+ }
+}
+
+function checkEntrance(controller,destinationName,entrance) {
+ // null if the controller may go there, otherwise why not
+ if(!(destinationName in instances)) {
+  return "instance name does not exist";
+ }
+ var destination=instances[destinationName];
+ if(destination==controller.instance) {
+  return "already in that instance";
+ }
+ var refusal=getInstanceAccessRefusal(destination,controller.username,
+				      null,false);
+ if(refusal) {
+  return refusal.e;
+ }
+ if(destination.playset.validateEntrance) {
+  var verdict=destination.playset.validateEntrance(
+   destination.pastHorizonState,controller.username,
+   users[controller.username].config,controller.instanceName,entrance);
+  if(verdict!==true) {
+   return (typeof(verdict)=="string")?verdict:"entrance refused";
+  }
+ }
+ return null;
+}
+
+function moveController(controller,destination,entrance) {
+ // the old controller leaves the way a disconnect would, and the socket
+ // gets a new controller that waits in the inbox for that disconnect to
+ // reach the old instance's past horizon
+ var moved={
+  id:nextControllerID,
+  socket:controller.socket,
+  remoteAddress:controller.remoteAddress,
+  isLocal:controller.isLocal,
+  lifecycle:"inbox",
+  username:controller.username,
+  instance:destination,
+  instanceName:destination.name,
+  playsetName:destination.playset.getName(),
+  entrance:entrance,
+  moving:true,
+ }
+ controllers[nextControllerID]=moved;
+ ++nextControllerID;
+ controller.socket.okayController=moved;
+ disconnectController(controller);
+ inboxControllers[moved.username]=moved;
+ try {
+  moved.socket.send(JSON.stringify({k:"M",n:destination.name}));
  }
- instance.playset.advanceGameState(instance.pastHorizonState,
-				   connects,commands,inputs,disconnects);
+ catch(e) {
+  controllerError(moved,"NETWORK_ERROR","server could not send event");
+ }
+}
+
+function getSecretCommitment(secret) {
+ return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function advanceHorizonState(instance) {
+ var events=instance.events[instance.pastHorizonFrameNumber];
+ if(events) { delete instance.events[instance.pastHorizonFrameNumber]; }
+ else { events=[]; }
+
+ for(var i in events) {
+  if(events[i].k=="x") {
+   --instance.pendingSecretCount;
+  }
+  if(events[i].k=="r") {
+   delete instance.pendingReveals[events[i].h];
+  }
+  if(events[i].k=="m" && controllers[events[i].c]) {
+   delete controllers[events[i].c].moveRefusalPending;
+  }
+  if(events[i].k=="f" || events[i].k=="o") {
+   releaseEventMemory(events[i]);
+  }
+ }
+ var disconnects=advanceGameStateByEvents(instance.playset,
+					  instance.pastHorizonState,
+					  instance.pastHorizonControllerStatus,
+					  events);
+ recordReplayFrame(instance,instance.pastHorizonFrameNumber,events);
+ if(instance.playset.hashGameState && events.length) {
+  instance.recentEvents.push({f:instance.pastHorizonFrameNumber,e:events});
+ }
+ // before the disconnects are released, so that a moving controller's
+ // destination connects it with what it did here
+ saveUserData(instance);
  for(var i in disconnects) {
   var username=instance.pastHorizonControllerStatus[disconnects[i]].u;
-  if(inboxControllers[username]) {
-   var ctr=inboxControllers[username];
-   delete inboxControllers[username];
-   makeControllerLive(ctr);
-  }
-  var oldController= outboxControllers[username];
-  delete outboxControllers[username];
-  delete controllers[oldController.id];
+  releaseOutboxController(username);
   delete instance.pastHorizonControllerStatus[disconnects[i]];
  }
  ++instance.pastHorizonFrameNumber;
+ var turnBased=isTurnBased(instance);
+ if(turnBased) {
+  startTurnDeadline(instance);
+ }
+ issueSecretsAndReveals(instance);
+ issueMoves(instance);
 
  var broadcastFrame=false
- if("frameBroadcastInterval" in config) {
-  broadcastFrame=((instance.pastHorizonFrameNumber%
-	      config.frameBroadcastInterval)==0);
+ if(turnBased) {
+  // every turn matters to the clients, and there aren't many of them
+  broadcastFrame=true;
  }
  else {
-  broadcastFrame=((instance.pastHorizonFrameNumber%
-	      DEFAULT_FRAME_BROADCAST_INTERVAL)==0);
+  var broadcastInterval=("frameBroadcastInterval" in config)?
+      config.frameBroadcastInterval:
+      Math.max(1,Math.round(instance.fps*DEFAULT_FRAME_BROADCAST_SECONDS));
+  // clients hold back frames more than futureHorizonFrames past the last
+  // horizon they heard of, so the horizon they know mustn't fall that far
+  // behind; half of it is left for the broadcast to get to them
+  broadcastInterval=Math.min(broadcastInterval,
+			     Math.max(1,Math.floor(
+			      instance.futureHorizonFrames/2)));
+  broadcastFrame=((instance.pastHorizonFrameNumber%broadcastInterval)==0);
  }
  
  var hashFrame=false
  if(instance.playset.hashGameState) {
-  if("hashSyncInterval" in config) {
+  if(turnBased) {
+   hashFrame=true;
+  }
+  else if("hashSyncInterval" in config) {
    hashFrame=(instance.pastHorizonFrameNumber%config.hashSyncInterval==0);
   }
   else {
-   hashFrame=(instance.pastHorizonFrameNumber%DEFAULT_HASH_SYNC_INTERVAL==0);
+   hashFrame=(instance.pastHorizonFrameNumber%Math.max(1,Math.round(
+    instance.fps*DEFAULT_HASH_SYNC_SECONDS))==0);
   }
  }
  if(hashFrame) {
@@ -1252,29 +3968,56 @@ function advanceHorizonState(instance) {
     }
    }  
   }
-  var msg=JSON.stringify({"k":"F",
-			  "h":hash,
-			  "f":instance.pastHorizonFrameNumber});
+  instance.hashedFrames.push({
+   f:instance.pastHorizonFrameNumber,
+   h:hash,
+   g:instance.playset.serializeGameState(instance.pastHorizonState),
+   x:JSON.parse(JSON.stringify(instance.pastHorizonControllerStatus)),
+   e:instance.recentEvents,
+  });
+  if(instance.hashedFrames.length>HASHED_FRAME_HISTORY) {
+   instance.hashedFrames.shift();
+  }
+  instance.recentEvents=[];
+  var frameMessage={"k":"F",
+		    "h":hash,
+		    "f":instance.pastHorizonFrameNumber};
  }
  else if(broadcastFrame) {
-  var msg=JSON.stringify({"k":"F",
-			  "f":instance.pastHorizonFrameNumber});  
+  var frameMessage={"k":"F",
+		    "f":instance.pastHorizonFrameNumber};
  }
  else {
   // base case: we don't immediately tell clients about this frame advance;
   // they'll find out next broadcastFrame or hashFrame.
-  var msg=null;
+  var frameMessage=null;
+ }
+ var turnMillisLeft=getTurnMillisLeft(instance);
+ if(frameMessage && turnMillisLeft!==null) {
+  frameMessage.d=turnMillisLeft;
  }
  
 
- if(msg) {
+ if(frameMessage) {
+  var msg=JSON.stringify(frameMessage);
   for(var i in instance.broadcastControllers) {
    var controller=instance.broadcastControllers[i];
    try {
-    controller.socket.send(msg);
+    if(hashFrame) {
+     controller.unansweredHashFrame=instance.pastHorizonFrameNumber;
+    }
+    if(hashFrame && instance.playset.getControllerView) {
+     // everyone's hash is of their own view
+     frameMessage.h=instance.playset.hashGameState(
+      instance.playset.getControllerView(instance.pastHorizonState,i|0));
+     controller.socket.send(JSON.stringify(frameMessage));
+    }
+    else {
+     controller.socket.send(msg);
+    }
    }
    catch(e) {
-    controllerError(controller,"server could not send event");
+    controllerError(controller,"NETWORK_ERROR","server could not send event");
    }
   }
  }
@@ -1282,6 +4025,19 @@ function advanceHorizonState(instance) {
 
 }
 
+function releaseOutboxController(username) {
+ // the outbox controller's disconnect has reached the past horizon (or
+ // will never need to), so a waiting login for the same user can go live
+ if(inboxControllers[username]) {
+  var ctr=inboxControllers[username];
+  delete inboxControllers[username];
+  makeControllerLive(ctr);
+ }
+ var oldController= outboxControllers[username];
+ delete outboxControllers[username];
+ delete controllers[oldController.id];
+}
+
 function defaultGameStateHash(o) {
  function combine(a,b) {
   return (a*65537+b*8191+127)%2147483647
@@ -1351,5 +4107,17 @@ function defaultGameStateHash(o) {
 if(require.main==module) {
  initServer();
 }
+else {
+ // for tools like playsettest.js that run playsets without a server
+ module.exports={
+  loadPlaysets:loadPlaysets,
+  getPlayset:getPlayset,
+  advanceGameStateByEvents:advanceGameStateByEvents,
+  getEventView:getEventView,
+  getControllerStatusView:getControllerStatusView,
+  getSecretCommitment:getSecretCommitment,
+  defaultGameStateHash:defaultGameStateHash,
+ }
+}
 
 
@@ -23,6 +23,11 @@ var clientState; // for playset to hold non-gamestate things in
 
 /* UI things */
 var keysHeldTracker, keysFreshTracker;
+var pointerPosition; // {x,y} in small scaling canvas pixels, or null
+var pointerButtonsHeldTracker, pointerButtonsFreshTracker;
+var touchTracker; // pointerId -> {x,y,fresh,ended}
+var gamepadSnapshots; // gamepad index -> {axes:[...], buttons:[bool...]}
+var gamepadButtonsFreshTracker; // "gamepadIndex:buttonIndex" -> true
 var screenDiv;
 var smallScalingCanvas, largeScalingCanvas, largeScalingContext;
 
@@ -33,7 +38,10 @@ var estimatedServerTimestampDifference; // in millis
 var animationFrameRequestHandle;
 var gameFrameTimeout;
 var fps;
+var maxFramesAhead; // past the horizon, beyond which the server won't take frames
 var lastFrameNumberDrawn; // reset to null if that frame gets invalidated
+var turnDeadlineTimestamp; // turn-based only, performance.now() time or null
+var lastTurnSecondsDrawn; // turn-based only, so countdowns get redrawn
 
 /* variables corresponding to server instance */
 var pastHorizonFrameNumber; // theoretically == server's
@@ -41,15 +49,27 @@ var gameStates; // [pastHorizonFrameNumber] matches server's pastHorizonState
 var controllerStatuses; // [pastHorizonFrameNumber] matches server's pastHorizonControllerStatus
 var instanceEvents; // theoretically matches server's
 var playset; // matches server's
+var recentEventHistory; // [{f,e}...] applied since the last good hash check
+var awaitingDesyncResponse; // sent a desync report, server will resync or kick
+var turnBased; // no prediction, the horizon is the present
+var structuredInputs; // inputs are any JSON value, not just strings
 
 /* variables for login process */
-var username, password, instanceName;
+var username, instanceName;
+var pendingPassword; // only held until the login message is sent
+var sessionToken; // issued by the server on password login
+var joinPassword; // for an instance that has one, kept for reconnecting
+var spectating; // logged in to watch, no controller in the game
+var moving; // the server is moving us to another instance, S to follow
 
 /* variables corresponding to controller */
 var ownControllerID;
 var expectedFrameNumber; // theoretically == server's minFrameNumber
-var globalChatTokens;
+var chatTokens; // map from chat channel to messages we may send on it
 var maxChatMessageLength;
+var maxMessageBytes, maxDesyncReportBytes; // the server's limits, from S
+var lastKeepaliveTimestamp; // spectators and turn-based only
+var commandSerial; // turn-based only, last serial sent for this frame
 
 /* commands wait here so they can be sent on a meaningful frame number */
 var outgoingCommandQueue;
@@ -57,6 +77,19 @@ var outgoingCommandQueue;
 /* distinguish different socket errors */
 var hasSocketOpened;
 
+/* reconnecting after a dropped connection */
+var canReconnect; // true once a game has started, until a deliberate end
+var reconnectAttempts;
+var reconnectTimeout;
+const RECONNECT_BASE_MILLIS=1000;
+const RECONNECT_MAX_MILLIS=16000;
+const RECONNECT_MAX_ATTEMPTS=8;
+// how far past the horizon a spectator will predict; a suspended instance's
+// horizon stands still, and there's no sense predicting further into that
+const SPECTATOR_MAX_PREDICTION_SECONDS=2;
+const KEEPALIVE_MILLIS=1000;
+const DESYNC_MESSAGE="Desynchronized from server game state. Try shift-reloading. If the problem persists, there may be a bug in the game logic.";
+
 var playsets={}
 var commandRateLimits, argumentLengthLimit, inputLengthLimit;
 var commandRateCounters;
@@ -65,7 +98,8 @@ function defaultPlaysetAdvanceGameState(state,connects,
 					commands,inputs,disconnects) {
  // exact cutpaste between client and server code
  for(var i in connects) {
-  this.applyConnect(state,connects[i].c,connects[i].u,connects[i].d);
+  this.applyConnect(state,connects[i].c,connects[i].u,connects[i].d,
+		    connects[i].e,connects[i].b);
  }
  var controllerCommands={}
  for(var i in commands) {
@@ -89,6 +123,22 @@ function defaultPlaysetAdvanceGameState(state,connects,
  }
 }
 
+function defaultPlaysetPredictNextInput(input) {
+ return input;
+}
+
+function areInputsEqual(a,b) {
+ // exact cutpaste between client and server code. inputs may be
+ // structured, and the same structure in two different objects counts
+ // as equal; differently-ordered keys only cost a redundant relay
+ return a===b || JSON.stringify(a)===JSON.stringify(b);
+}
+
+function getInputLength(input) {
+ // exact cutpaste between client and server code
+ return (typeof(input)=="string")?input.length:JSON.stringify(input).length;
+}
+
 function registerPlayset(playset) {
  playsets[playset.getName()]=playset;
  var defaultSerialization=!("serializeGameState" in playset);
@@ -124,6 +174,15 @@ function registerPlayset(playset) {
  if(!("advanceGameState" in playset)) {
   playset.advanceGameState=defaultPlaysetAdvanceGameState
  }
+ if(!("predictNextInput" in playset)) {
+  playset.predictNextInput=defaultPlaysetPredictNextInput;
+ }
+ if(!("serializeGameState" in playset)) {
+  // only needed for desync reports, and after the checks above
+  playset.serializeGameState=function(state) {
+   return JSON.stringify(state);
+  }
+ }
 }
 
 function getPlayset(name) {
@@ -133,30 +192,78 @@ function getPlayset(name) {
 function onLoginClick() {
  if(!socket) {
   username=document.getElementById("usernameInput").value;
-  password=document.getElementById("passwordInput").value;
+  pendingPassword=document.getElementById("passwordInput").value;
+  document.getElementById("passwordInput").value="";
+  sessionToken=null;
   instanceName=document.getElementById("instanceInput").value;
-  socket=new WebSocket(OKAY_SOCKET_SERVER_URL);
-  hasSocketOpened=false;
-  socket.addEventListener("open",onSocketOpen);
-  socket.addEventListener("error",onSocketError);
-  socket.addEventListener("close",onSocketClose);
+  joinPassword=document.getElementById("joinPasswordInput").value;
+  document.getElementById("joinPasswordInput").value="";
+  spectating=document.getElementById("spectateInput").checked;
+  canReconnect=false;
+  reconnectAttempts=0;
+  document.getElementById("waitUI").innerText="Connecting, please wait...";
+  openSocket();
  }
  document.getElementById("loginUI").style.display="none";
  document.getElementById("waitUI").style.display="block";
 }
 
+function openSocket() {
+ socket=new WebSocket(OKAY_SOCKET_SERVER_URL);
+ hasSocketOpened=false;
+ socket.addEventListener("open",onSocketOpen);
+ socket.addEventListener("error",onSocketError);
+ socket.addEventListener("close",onSocketClose);
+}
+
+function scheduleReconnect() {
+ // exponential backoff, with some jitter so a server restart doesn't
+ // get every client back at the same instant
+ var wait=Math.min(RECONNECT_BASE_MILLIS*Math.pow(2,reconnectAttempts),
+		   RECONNECT_MAX_MILLIS);
+ wait+=Math.random()*RECONNECT_BASE_MILLIS;
+ ++reconnectAttempts;
+ document.getElementById("waitUI").innerText=
+  "Connection lost, reconnecting (attempt "+reconnectAttempts+" of "+
+  RECONNECT_MAX_ATTEMPTS+")...";
+ document.getElementById("loginUI").style.display="none";
+ document.getElementById("waitUI").style.display="block";
+ reconnectTimeout=setTimeout(function() {
+  reconnectTimeout=null;
+  openSocket();
+ },wait);
+}
+
 
 function onSocketOpen() {
  hasSocketOpened=true;
  socket.addEventListener("message",onSocketMessage);
 
+ var loginMessage={
+  k:'l',
+  u:username,
+  n:instanceName
+ }
+ if(sessionToken) {
+  loginMessage.s=sessionToken;
+ }
+ else {
+  loginMessage.p=pendingPassword;
+ }
+ pendingPassword=null;
+ if(joinPassword) {
+  loginMessage.j=joinPassword;
+ }
+ if(spectating) {
+  loginMessage.v=1;
+ }
+ if(reconnectAttempts) {
+  // the server may not have noticed our old socket dropping yet;
+  // this tells it to hand off from that one instead of refusing us
+  loginMessage.r=1;
+ }
  try {
-  socket.send(JSON.stringify({
-   k:'l',
-   u:username,
-   p:password,
-   n:instanceName
-  }));
+  socket.send(JSON.stringify(loginMessage));
  }
  catch(e) {
   console.error("error in initial send",e);
@@ -180,6 +287,9 @@ function onSocketMessage(e) {
  case "F":
   onFrameAdvanceMessage(message);
   break;
+ case "M":
+  onMoveMessage(message);
+  break;
  case "c": // if we're in this function, this must be a different controller's
   onClientMessage(message);
   break;
@@ -193,7 +303,9 @@ function onSocketMessage(e) {
   break;
  case "f": // could be ack of own, or could be someone else's 
   if(message.c==ownControllerID) {
-   handlePong(frameSentTimestamps[message.f],message.t)
+   if(message.f in frameSentTimestamps) {
+    handlePong(frameSentTimestamps[message.f],message.t)
+   }
    acceptAck(message);
   }
   else {
@@ -203,20 +315,43 @@ function onSocketMessage(e) {
  case "d": // this must be a different controller's
   onClientMessage(message);
   break;
- case "g":
-  onGlobalChatMessage(message);
+ case "x": // from the server
+  onClientMessage(message);
+  break;
+ case "r": // from the server
+  if(isRevealValid(message)) {
+   onClientMessage(message);
+  }
+  break;
+ case "t": // from the server
+  onClientMessage(message);
+  break;
+ case "m": // from the server
+  onClientMessage(message);
+  break;
+ case "g": case "i": case "w":
+  onChatLineMessage(message);
+  break;
+ case "a":
+  onAnnouncementMessage(message);
   break;
  case "G":
-  onGlobalChatTokenMessage(message);
+  onChatTokenMessage(message);
+  break;
+ case "N":
+  showChatNotice(message.m);
   break;
   // don't worry about default, assumption is a non-farting server
  }
 }
 
-function handleConnectionEnd() {
+function teardownConnection() {
+ awaitingDesyncResponse=false;
+ moving=false;
  if(playset) {
   playset.destroyUI();
   screenDiv.innerHTML="";
+  playset=null;
  }
  if(animationFrameRequestHandle) {
   cancelAnimationFrame(animationFrameRequestHandle);
@@ -231,36 +366,83 @@ function handleConnectionEnd() {
  }
  catch(e) { /* was probably already closed */ }
  socket=null;
+}
+
+function handleConnectionEnd() {
+ // the connection is over for good, back to the login screen
+ teardownConnection();
+ canReconnect=false;
+ if(reconnectTimeout) {
+  clearTimeout(reconnectTimeout);
+  reconnectTimeout=null;
+ }
  document.getElementById("waitUI").style.display="none";
  document.getElementById("gameUI").style.display="none";
  document.getElementById("loginUI").style.display="block";
 }
 
-function onSocketError() {
- if(socket) {
+function handleConnectionDrop(reason) {
+ // the network failed us rather than the server refusing us, so
+ // try to get back into the same instance before giving up
+ if(canReconnect && sessionToken &&
+    reconnectAttempts<RECONNECT_MAX_ATTEMPTS) {
+  teardownConnection();
+  document.getElementById("gameUI").style.display="none";
+  scheduleReconnect();
+ }
+ else {
   handleConnectionEnd();
+  showDisconnectReason(reason);
+ }
+}
+
+function onSocketError() {
+ if(socket && this==socket) {
   if(hasSocketOpened) {
-   showDisconnectReason("Connection error");
+   handleConnectionDrop("Connection error");
   }
   else {
-   showDisconnectReason("Connection error (server may be down)");
+   handleConnectionDrop("Connection error (server may be down)");
   }
  }
 }
 
 function onSocketClose() {
- if(socket) {
-  handleConnectionEnd();
-  showDisconnectReason("Connection closed");
+ if(socket && this==socket) {
+  handleConnectionDrop("Connection closed");
  }
 }
 
 function onInitialPingResponseMessage(message) {
  handlePong(loginSentTimestamp,message.t);
+ if(message.s) {
+  sessionToken=message.s;
+ }
 }
 
 function onInitialStateMessage(message) {
+ var isResync=!!playset;
+ var wasMoving=moving;
+ // a resynced player has already sent frames up to this, and the server
+ // won't take them again; a moved one's frames were for another instance
+ var alreadySentFrameNumber=(isResync && !moving)?expectedFrameNumber:0;
+ if(isResync) {
+  // a resync or a move; start everything over
+  playset.destroyUI();
+  cancelAnimationFrame(animationFrameRequestHandle);
+  clearTimeout(gameFrameTimeout);
+ }
+ if("t" in message) {
+  handlePong(performance.now(),message.t);
+ }
+ spectating=!!message.v;
+ moving=false;
+ instanceName=message.n;
+ recentEventHistory=[];
+ awaitingDesyncResponse=false;
  frameSentTimestamps={}
+ canReconnect=true;
+ reconnectAttempts=0;
 
  clientState={}
  playset=getPlayset(message.p);
@@ -270,15 +452,25 @@ function onInitialStateMessage(message) {
   playset.getArgumentLengthLimit():Infinity;
  commandRateLimits=("getCommandLimits" in playset)?
   playset.getCommandLimits():Infinity;
- fps=message.r;
+ fps=message.r.f;
+ maxFramesAhead=message.r.p+message.r.q;
+ turnBased=!!(playset.isTurnBased && playset.isTurnBased());
+ structuredInputs=!!(playset.areInputsStructured &&
+		     playset.areInputsStructured());
+ setTurnDeadline(message);
+ commandSerial=0;
  pastHorizonFrameNumber=message.f;
+ expectedFrameNumber=pastHorizonFrameNumber;
+ lastKeepaliveTimestamp=performance.now();
  gameStates={}
  gameStates[pastHorizonFrameNumber]=playset.deserializeGameState(message.g);
  controllerStatuses={}
  controllerStatuses[pastHorizonFrameNumber]=message.x;
  ownControllerID=message.c;
- globalChatTokens=message.m;
+ chatTokens=message.m;
  maxChatMessageLength=message.l;
+ maxMessageBytes=message.b.m;
+ maxDesyncReportBytes=message.b.h;
  instanceEvents={};
  outgoingCommandQueue=[];
  commandRateCounters={};
@@ -303,8 +495,26 @@ function onInitialStateMessage(message) {
   case "d": // this must be a different controller's
    onClientMessage(submessage);
    break;
+  case "x": // from the server
+   onClientMessage(submessage);
+   break;
+  case "r": // from the server
+   if(!isRevealValid(submessage)) {
+    return;
+   }
+   onClientMessage(submessage);
+   break;
+  case "t": // from the server
+   onClientMessage(submessage);
+   break;
+  case "m": // from the server
+   onClientMessage(submessage);
+   break;
   }
  }
+ if(expectedFrameNumber<alreadySentFrameNumber) {
+  expectedFrameNumber=alreadySentFrameNumber;
+ }
  // state is set up 
  document.getElementById("waitUI").style.display="none";
  document.getElementById("gameUI").style.display="block";
@@ -315,11 +525,15 @@ function onInitialStateMessage(message) {
   window.addEventListener('keyup',onKeyup)
   window.addEventListener('blur',onBlur)
  }
- keysHeldTracker={}
- keysFreshTracker={}
+ resetInputTrackers();
 
- initChat();
- if(globalChatTokens) { enableChatInput(); }
+ if(!isResync) {
+  initChat();
+ }
+ if(!isResync || wasMoving) {
+  showChatBacklog(message.h||[],isResync);
+ }
+ refreshChatSendButton();
  
  var frame=estimatePresentTimeFrameNumber();
  var state=getEstimatedGameState(frame);
@@ -364,6 +578,118 @@ function onKeyup(e) {
 
 function onBlur(e) {
  keysHeldTracker={}
+ pointerButtonsHeldTracker={}
+}
+
+function resetInputTrackers() {
+ keysHeldTracker={}
+ keysFreshTracker={}
+ pointerPosition=null;
+ pointerButtonsHeldTracker={}
+ pointerButtonsFreshTracker={}
+ touchTracker={}
+ gamepadSnapshots={}
+ gamepadButtonsFreshTracker={}
+}
+
+function clearFreshInputs() {
+ // after each getCurrentInputString, so "fresh" means since the last one
+ keysFreshTracker={}
+ pointerButtonsFreshTracker={}
+ gamepadButtonsFreshTracker={}
+ for(var id in touchTracker) {
+  if(touchTracker[id].ended) {
+   delete touchTracker[id];
+  }
+  else {
+   touchTracker[id].fresh=false;
+  }
+ }
+}
+
+// MouseEvent.buttons bits, indexed by MouseEvent.button numbering
+const POINTER_BUTTON_BITS=[1,4,2,8,16];
+
+function onPointerEvent(e) {
+ var position=getSmallCanvasPosition(e);
+ if(e.pointerType=="touch") {
+  if(e.type=="pointerdown") {
+   touchTracker[e.pointerId]={x:position.x,y:position.y,
+			      fresh:true,ended:false};
+  }
+  else if(e.pointerId in touchTracker) {
+   var touch=touchTracker[e.pointerId];
+   touch.x=position.x;
+   touch.y=position.y;
+   if(e.type=="pointerup" || e.type=="pointercancel") {
+    // a tap that starts and ends between polls still gets seen once
+    if(touch.fresh) { touch.ended=true; }
+    else { delete touchTracker[e.pointerId]; }
+   }
+  }
+ }
+ if(!e.isPrimary) {
+  return;
+ }
+ if(e.type=="pointerdown") {
+  // keep hearing about it when a drag leaves the canvas
+  e.target.setPointerCapture(e.pointerId);
+ }
+ if(e.type=="pointerleave" || e.type=="pointercancel" ||
+    (e.type=="pointerup" && e.pointerType=="touch")) {
+  pointerPosition=null;
+ }
+ else {
+  pointerPosition=position;
+ }
+ var buttons=(e.type=="pointercancel")?0:e.buttons;
+ for(var button=0;button<POINTER_BUTTON_BITS.length;++button) {
+  if(buttons & POINTER_BUTTON_BITS[button]) {
+   if(!pointerButtonsHeldTracker[button]) {
+    pointerButtonsHeldTracker[button]=true;
+    pointerButtonsFreshTracker[button]=true;
+   }
+  }
+  else {
+   delete pointerButtonsHeldTracker[button];
+  }
+ }
+}
+
+function getSmallCanvasPosition(e) {
+ // the large canvas is a whole multiple of the small one's size, but
+ // measuring it covers any CSS resizing too
+ var bcr=largeScalingCanvas.getBoundingClientRect();
+ if(!bcr.width || !bcr.height) {
+  return {x:0,y:0};
+ }
+ return {
+  x:Math.floor((e.clientX-bcr.left)*smallScalingCanvas.width/bcr.width),
+  y:Math.floor((e.clientY-bcr.top)*smallScalingCanvas.height/bcr.height)
+ };
+}
+
+function pollGamepads() {
+ // before each getCurrentInputString, so it sees one consistent reading
+ var pads=(navigator.getGamepads)?navigator.getGamepads():[];
+ var snapshots={}
+ for(var i=0;i<pads.length;++i) {
+  var pad=pads[i];
+  if(!pad || !pad.connected) {
+   continue;
+  }
+  var old=gamepadSnapshots[pad.index];
+  var snapshot={axes:pad.axes.slice(),buttons:[]};
+  for(var b=0;b<pad.buttons.length;++b) {
+   var pressed=pad.buttons[b].pressed;
+   snapshot.buttons.push(pressed);
+   if(pressed && !(old && old.buttons[b])) {
+    gamepadButtonsFreshTracker[pad.index+":"+b]=true;
+   }
+  }
+  snapshots[pad.index]=snapshot;
+ }
+ gamepadSnapshots=snapshots;
 }
 
 
@@ -377,26 +703,92 @@ function handlePong(sent,serverReceipt) {
 }
 
 function onErrorMessage(message) {
- if(socket) {
-  handleConnectionEnd();
+ if(!socket) { return; }
+ switch(message.c) {
+ case "TIMED_OUT":
+ case "NETWORK_ERROR":
+ case "SERVER_SHUTDOWN":
+ case "INSTANCE_RESET":
+  // worth coming back for, if we were in far enough to have a session
+  handleConnectionDrop(message.e);
+  return;
+ }
+ handleConnectionEnd();
+ switch(message.c) {
+ case "DESYNC":
+  showDisconnectReason(DESYNC_MESSAGE);
+  break;
+ case "AUTH_FAILED":
+ case "SESSION_EXPIRED":
+  showDisconnectReason(message.e);
+  document.getElementById("passwordInput").focus();
+  break;
+ case "INSTANCE_PASSWORD_REQUIRED":
+ case "INSTANCE_PASSWORD_WRONG":
+  showDisconnectReason(message.e);
+  document.getElementById("joinPasswordLabel").style.display="inline";
+  document.getElementById("joinPasswordInput").focus();
+  break;
+ default:
   showDisconnectReason(message.e);
  }
 }
 
 function onFrameAdvanceMessage(message) {
  //console.log(pastHorizonFrameNumber,estimatePresentTimeFrameNumber(),message);
+ if(turnBased && pastHorizonFrameNumber<message.f) {
+  // the server counts commands per frame number they were stamped with
+  commandRateCounters={}
+  commandSerial=0;
+ }
  while(pastHorizonFrameNumber<message.f) {
   advanceHorizonState();
  }
- if("h" in message) {
+ setTurnDeadline(message);
+ if("h" in message && !awaitingDesyncResponse) {
   var hash=playset.hashGameState(gameStates[pastHorizonFrameNumber]);
   if(message.h!=hash) {
-   handleConnectionEnd();
-   showDisconnectReason("Desynchronized from server game state. Try shift-reloading. If the problem persists, there may be a bug in the game logic.");
+   sendDesyncReport(message.f,hash);
   }
   else {
-    //console.log("Passed hash",hash);
+   //console.log("Passed hash",hash);
+   recentEventHistory=[];
+  }
+ }
+}
+
+function onMoveMessage(message) {
+ // nothing more we send is any use to the instance we're leaving; the
+ // acknowledgement tells the server where that stops
+ moving=true;
+ instanceName=message.n;
+ clearTimeout(gameFrameTimeout);
+ try { socket.send(JSON.stringify({k:"m"})); } catch(e) {}
+ showChatNotice("Moving to "+message.n+"...");
+}
+
+function sendDesyncReport(frameNumber,hash) {
+ // the server saves this next to its own state for a developer to
+ // diff, then either resyncs us with a fresh S or hangs up
+ try {
+  var report=JSON.stringify({
+   k:"h",
+   f:frameNumber,
+   h:hash,
+   g:playset.serializeGameState(gameStates[pastHorizonFrameNumber]),
+   x:controllerStatuses[pastHorizonFrameNumber],
+   e:recentEventHistory
+  });
+  if(countUTF8Bytes(report)>maxDesyncReportBytes) {
+   // still worth telling the server, which will resync us or hang up
+   report=JSON.stringify({k:"h",f:frameNumber,h:hash});
   }
+  socket.send(report);
+  awaitingDesyncResponse=true;
+ }
+ catch(e) {
+  handleConnectionEnd();
+  showDisconnectReason(DESYNC_MESSAGE);
  }
 }
 
@@ -408,20 +800,32 @@ function onClientMessage(message) {
   instanceEvents[message.f]=[message];
  }
  // invalidation happens if this is a connect, quit, or command,
- // or if it's a frame with an input state that differs from the
- // already-predicted input state of its frame number
+ // or if it's a frame with an input that differs from the one already
+ // predicted for the frame after it
  if((message.f+1) in gameStates &&
     (message.k=='c' || message.k=='o' || message.k=='d' ||
-     (message.k=='f' && message.i!=controllerStatuses[message.f]))) {
-  var toInvalidate=message.f+1;
-  while(toInvalidate in gameStates) {
-   if(toInvalidate == lastFrameNumberDrawn) {
-    lastFrameNumberDrawn=null;
-   }
-   delete gameStates[toInvalidate];
-   delete controllerStatuses[toInvalidate];
-   ++toInvalidate;
+     message.k=='x' || message.k=='r' || message.k=='t' ||
+     message.k=='m' ||
+     (message.k=='f' && !isInputPredicted(message)))) {
+  invalidateGameStatesAfter(message.f);
+ }
+}
+
+function isInputPredicted(message) {
+ var statuses=controllerStatuses[message.f+1];
+ return (message.c in statuses) &&
+  areInputsEqual(message.i,statuses[message.c].i);
+}
+
+function invalidateGameStatesAfter(frameNumber) {
+ var toInvalidate=frameNumber+1;
+ while(toInvalidate in gameStates) {
+  if(toInvalidate == lastFrameNumberDrawn) {
+   lastFrameNumberDrawn=null;
   }
+  delete gameStates[toInvalidate];
+  delete controllerStatuses[toInvalidate];
+  ++toInvalidate;
  }
 }
 
@@ -438,6 +842,11 @@ function advanceHorizonState() {
  }
 
  computeGameStateGivenPrevious(pastHorizonFrameNumber+1);
+ if(playset.hashGameState && instanceEvents[pastHorizonFrameNumber] &&
+    instanceEvents[pastHorizonFrameNumber].length) {
+  recentEventHistory.push({f:pastHorizonFrameNumber,
+			   e:instanceEvents[pastHorizonFrameNumber]});
+ }
  delete gameStates[pastHorizonFrameNumber];
  delete controllerStatuses[pastHorizonFrameNumber];
  if(pastHorizonFrameNumber in instanceEvents) {
@@ -450,10 +859,16 @@ function advanceHorizonState() {
 }
 
 function pruneUnackedEvents() {
+ if(spectating || turnBased) {
+  // nothing of ours is ever unacked
+  return;
+ }
  var mustInvalidate=false;
  var pastHorizonStatuses=controllerStatuses[pastHorizonFrameNumber];
  if(ownControllerID in pastHorizonStatuses) {
-  var myOldControllerInput=pastHorizonStatuses[ownControllerID];
+  // what the frame after the horizon gets if our unacked input is dropped
+  var myPredictedInput=playset.predictNextInput(
+   pastHorizonStatuses[ownControllerID].i);
      
   var filteredEvents=instanceEvents[pastHorizonFrameNumber].filter(
    function(e) {
@@ -461,7 +876,7 @@ function pruneUnackedEvents() {
      // invalidate if any command is unacked, or if the input frame
      // is unacked and includes an input change.
      if(e.k=='o' ||
-	e.i!=myOldControllerInput) {
+	!areInputsEqual(e.i,myPredictedInput)) {
       mustInvalidate=true;
      }
      //console.log("removing unacked event",e);
@@ -491,13 +906,14 @@ function pruneUnackedEvents() {
  }
 }
 
-const EVENT_KIND_ORDERING={"c":0,"o":1,"f":2,"d":3}
+const EVENT_KIND_ORDERING={"c":0,"o":1,"f":2,"d":3,"x":4,"r":5,"t":6,"m":7}
 
 function instanceEventComparator(a,b) {
  var ak=EVENT_KIND_ORDERING[a.k], bk=EVENT_KIND_ORDERING[b.k]
  if(ak<bk) { return -1; } if(ak>bk) { return 1; }
  if(a.u<b.u) { return -1; } if(a.u>b.u) { return 1; }
  if(a.s<b.s) { return -1; } if(a.s>b.s) { return 1; }
+ if(a.h<b.h) { return -1; } if(a.h>b.h) { return 1; }
  return 0;
 }
 
@@ -517,6 +933,9 @@ function computeGameStateGivenPrevious(newFrameNumber) {
  var commands=[];
  var inputs=[];
  var disconnects=[];
+ var secrets=[];
+ var deadlinePassed=false;
+ var refusedMoves=[];
  events.sort(instanceEventComparator);
 
  var newControllerStatus={}
@@ -524,7 +943,7 @@ function computeGameStateGivenPrevious(newFrameNumber) {
  //var carriedStatus=false;
  for(var k in oldControllerStatus) {
   newControllerStatus[k]={u:oldControllerStatus[k].u,
-			  i:oldControllerStatus[k].i};
+			  i:playset.predictNextInput(oldControllerStatus[k].i)};
   //carriedStatus=true;
  }
  //if(!carriedStatus) {
@@ -538,10 +957,12 @@ function computeGameStateGivenPrevious(newFrameNumber) {
   switch(events[i].k) {
   case "c":
    newControllerStatus[events[i].c]={u:events[i].u,i:""};
-   connects.push({"c":events[i].c,"u":events[i].u,"d":events[i].d});
+   connects.push({"c":events[i].c,"u":events[i].u,"d":events[i].d,
+		  "e":("e" in events[i])?events[i].e:null,
+		  "b":events[i].b||{}});
    break;
   case "o":
-   commands.push({"c":events[i].c,"o":events[i].o});
+   commands.push({"c":events[i].c,"o":events[i].o,"a":events[i].a});
    break;
   case "f":
    newControllerStatus[events[i].c].i=events[i].i;
@@ -549,6 +970,15 @@ function computeGameStateGivenPrevious(newFrameNumber) {
   case "d":
    disconnects.push(events[i].c);
    break;
+  case "x": case "r":
+   secrets.push(events[i]);
+   break;
+  case "t":
+   deadlinePassed=true;
+   break;
+  case "m":
+   refusedMoves.push(events[i]);
+   break;
   default:
    console.warn("saw a strange event",events[i]);
    break;
@@ -561,6 +991,25 @@ function computeGameStateGivenPrevious(newFrameNumber) {
   inputs.push({"c":c,"i":newControllerStatus[c].i});  
  }
  var newState=playset.copyGameState(gameStates[newFrameNumber-1]);
+ // secrets go to the playset ahead of everything else in the frame
+ for(var i in secrets) {
+  var secretValue=("v" in secrets[i])?secrets[i].v:null;
+  if(secrets[i].k=="x") {
+   playset.applySecret(newState,secrets[i].h,secretValue);
+  }
+  else {
+   playset.applyReveal(newState,secrets[i].h,secretValue);
+  }
+ }
+ if(deadlinePassed && playset.applyTurnDeadline) {
+  playset.applyTurnDeadline(newState);
+ }
+ for(var i in refusedMoves) {
+  if(playset.applyMoveRefused) {
+   playset.applyMoveRefused(newState,refusedMoves[i].c,refusedMoves[i].n,
+			    refusedMoves[i].a);
+  }
+ }
  playset.advanceGameState(newState,
 			  connects,commands,inputs,disconnects);
  gameStates[newFrameNumber]=newState;
@@ -582,24 +1031,43 @@ function getEstimatedGameState(n) {
 }
 
 function estimatePresentTimeFrameNumber() {
+ if(turnBased) {
+  return pastHorizonFrameNumber;
+ }
  var milli=performance.now()+estimatedServerTimestampDifference;
  var frame=Math.floor(milli*fps/1000);
  if(frame<pastHorizonFrameNumber) { return pastHorizonFrameNumber; }
+ var spectatorLimit=Math.floor(fps*SPECTATOR_MAX_PREDICTION_SECONDS);
+ if(spectating && frame>pastHorizonFrameNumber+spectatorLimit) {
+  return pastHorizonFrameNumber+spectatorLimit;
+ }
+ if(frame>pastHorizonFrameNumber+maxFramesAhead) {
+  // our clock has run ahead of the horizon updates; hold here rather than
+  // send frames the server would kick us for
+  return pastHorizonFrameNumber+maxFramesAhead;
+ }
  return frame;
 }
 
 function onAnimationFrame() {
  var frame=estimatePresentTimeFrameNumber();
  var state=getEstimatedGameState(frame);
- if(frame!=lastFrameNumberDrawn) {
+ var turnMillisLeft=getTurnMillisLeft();
+ var turnSeconds=(turnMillisLeft===null)?null:Math.ceil(turnMillisLeft/1000);
+ if(frame!=lastFrameNumberDrawn || turnSeconds!==lastTurnSecondsDrawn) {
   playset.refreshUI(state,frame);
   refreshScalingCanvas()
   lastFrameNumberDrawn=frame;
+  lastTurnSecondsDrawn=turnSeconds;
  }
  animationFrameRequestHandle=requestAnimationFrame(onAnimationFrame);
 }
 
 function onGameFrameTimeout() {
+ if(turnBased) {
+  onTurnBasedFrame();
+  return;
+ }
  var frame=estimatePresentTimeFrameNumber();
  // may need to skip over frames
  while(expectedFrameNumber<frame) {
@@ -608,12 +1076,23 @@ function onGameFrameTimeout() {
   ++expectedFrameNumber;
  }
  // done skips, now to handle the current frame
+ if(spectating) {
+  onSpectatorFrame(frame);
+  return;
+ }
 
  // getting input BEFORE processing outgoingCommandQueue, since
  // the input-poller might push commands
+ pollGamepads();
  var inp=playset.getCurrentInputString();
- if(inp.length>inputLengthLimit) {
-  inp=inp.slice(0,inputLengthLimit);
+ if(!structuredInputs) {
+  if(inp.length>inputLengthLimit) {
+   inp=inp.slice(0,inputLengthLimit);
+  }
+ }
+ else if(inp===undefined || getInputLength(inp)>inputLengthLimit) {
+  // a structure can't be cut down to size, so send no input at all
+  inp="";
  }
  var messageList=[]
  if(expectedFrameNumber==frame) {
@@ -623,6 +1102,9 @@ function onGameFrameTimeout() {
 		'a':outgoingCommandQueue[i].a,
 		'f':expectedFrameNumber,
 		's':i+1};
+   if(outgoingCommandQueue[i].r) {
+    message.r=outgoingCommandQueue[i].r;
+   }
    messageList.push(message);
   }
   outgoingCommandQueue=[]
@@ -633,11 +1115,7 @@ function onGameFrameTimeout() {
   messageList.push(message);
   frameSentTimestamps[expectedFrameNumber]=performance.now();
 
-  // worst case scenario is hitting the rate cap on every allowed command,
-  // with long arguments, and sending a long input string. if that
-  // ever threatens to get close to 20000 bytes when stringified to JSON,
-  // something will need to be done about it.
-  try { socket.send(JSON.stringify(messageList)); } catch(e) {}
+  try { sendMessageList(messageList); } catch(e) {}
   for(var i in messageList) {
    messageList[i].c=ownControllerID;
    messageList[i].unacked=true;
@@ -648,7 +1126,7 @@ function onGameFrameTimeout() {
   playset.handleClientPrediction(state,expectedFrameNumber);
   ++expectedFrameNumber;
   commandRateCounters={}
-  keysFreshTracker={}
+  clearFreshInputs();
  }
 
  var milliNow=performance.now()+estimatedServerTimestampDifference; 
@@ -663,16 +1141,108 @@ function onGameFrameTimeout() {
  gameFrameTimeout=setTimeout(onGameFrameTimeout,wait);
 }
 
+function sendMessageList(messageList) {
+ // every allowed command with a long argument, plus a long input string,
+ // can add up to more than the server takes in one message, so pack the
+ // list into as few arrays as stay under its limit, in order
+ var batch=[], batchBytes=2;
+ for(var i=0;i<messageList.length;++i) {
+  var json=JSON.stringify(messageList[i]);
+  var bytes=countUTF8Bytes(json);
+  if(batch.length && batchBytes+1+bytes>maxMessageBytes) {
+   socket.send("["+batch.join(",")+"]");
+   batch=[];
+   batchBytes=2;
+  }
+  batchBytes+=(batch.length?1:0)+bytes;
+  batch.push(json);
+ }
+ if(batch.length) {
+  socket.send("["+batch.join(",")+"]");
+ }
+}
+
+function countUTF8Bytes(s) {
+ var bytes=0;
+ for(var i=0;i<s.length;++i) {
+  var c=s.charCodeAt(i);
+  if(c<0x80) { bytes+=1; }
+  else if(c<0x800) { bytes+=2; }
+  else if(c>=0xD800 && c<0xE000) { bytes+=2; } // half of a 4-byte pair
+  else { bytes+=3; }
+ }
+ return bytes;
+}
+
+function onSpectatorFrame(frame) {
+ // no input to send, but the server needs to hear from us now and then
+ if(expectedFrameNumber==frame) {
+  var state=getEstimatedGameState(expectedFrameNumber);
+  playset.handleClientPrediction(state,expectedFrameNumber);
+  ++expectedFrameNumber;
+ }
+ sendKeepaliveIfDue();
+ var milliNow=performance.now()+estimatedServerTimestampDifference; 
+ var wait=(expectedFrameNumber*1000/fps)-milliNow;
+ if(wait<0) {
+  wait=0;
+ }
+ if(wait>1000/fps) {
+  wait=1000/fps;
+ }
+ gameFrameTimeout=setTimeout(onGameFrameTimeout,wait);
+}
+
+function onTurnBasedFrame() {
+ // nothing to predict and no input string to send, but the playset may
+ // still send commands from getCurrentInputString
+ if(!spectating) {
+  pollGamepads();
+  playset.getCurrentInputString();
+  clearFreshInputs();
+ }
+ sendKeepaliveIfDue();
+ gameFrameTimeout=setTimeout(onGameFrameTimeout,1000/fps);
+}
+
+function sendKeepaliveIfDue() {
+ if(performance.now()-lastKeepaliveTimestamp>=KEEPALIVE_MILLIS) {
+  try { socket.send(JSON.stringify({'k':'p'})); } catch(e) {}
+  lastKeepaliveTimestamp=performance.now();
+ }
+}
+
+function setTurnDeadline(message) {
+ if(!turnBased) { return; }
+ turnDeadlineTimestamp=("d" in message)?performance.now()+message.d:null;
+}
+
 function acceptAck(message) {
- var events=instanceEvents[message.f];
+ if(message.f<pastHorizonFrameNumber) {
+  return;
+ }
+ var events=instanceEvents[message.f]||[];
+ var found=false;
  for(var i=0;i<events.length;++i) {
   if(events[i].unacked &&
      events[i].c==message.c &&
      events[i].k==message.k &&
      (message.k=='f' || message.s==events[i].s)) {
    delete events[i].unacked;
+   found=true;
+   // the playset's validateInput or validateCommand may have had the
+   // server put something else in place of what we sent
+   var field=(message.k=='f')?'i':'a';
+   if(!areInputsEqual(events[i][field],message[field])) {
+    events[i][field]=message[field];
+    invalidateGameStatesAfter(message.f);
+   }
   }
  }
+ if(!found) {
+  // sent before a resync threw away our copy of it
+  onClientMessage(message);
+ }
 }
 
 function initChat() {
@@ -681,7 +1251,40 @@ function initChat() {
  document.getElementById("chatInput").value="";
  document.getElementById("chatSendButton").disabled=true;
  document.getElementById("chatSendButton").onclick=onChatSendClick;
- document.getElementById("chatInput").oninput=onChatInputEvent;
+ document.getElementById("chatInput").oninput=refreshChatSendButton;
+ document.getElementById("chatChannelInput").onchange=onChatChannelChange;
+ document.getElementById("chatWhisperInput").oninput=refreshChatSendButton;
+ onChatChannelChange();
+ if(spectating) {
+  showChatNotice("Spectating; you can chat but not play.");
+ }
+}
+
+function showChatNotice(text) {
+ var d=document.createElement("div");
+ d.className="chatNotice";
+ d.textContent=text;
+ appendChatLine(d);
+}
+
+function appendChatLine(d) {
+ var box=document.getElementById("chatScrollBox");
+ var nearBottom=(box.scrollTop+box.clientHeight>=box.scrollHeight-16);
+ box.appendChild(d)
+ // if scrolled to bottom before new line, stay scrolled to bottom
+ if(nearBottom) {
+  box.scrollTop=box.scrollHeight;
+ }
+}
+
+function getChatChannel() {
+ return document.getElementById("chatChannelInput").value;
+}
+
+function onChatChannelChange() {
+ document.getElementById("chatWhisperInput").style.display=
+  (getChatChannel()=="w")?"inline":"none";
+ refreshChatSendButton();
 }
 
 function onChatSendClick() {
@@ -695,63 +1298,101 @@ function onChatSendClick() {
  }
 }
 
-function onChatInputEvent() {
- if(this.value.length>maxChatMessageLength) {
-  document.getElementById("chatSendButton").disabled=true
- }
- else if(globalChatTokens>0) {
-  document.getElementById("chatSendButton").disabled=false
+function refreshChatSendButton() {
+ var channel=getChatChannel();
+ var ready=chatTokens && chatTokens[channel]>0 &&
+     document.getElementById("chatInput").value.length<=maxChatMessageLength;
+ if(channel=="w" && !document.getElementById("chatWhisperInput").value) {
+  ready=false;
  }
+ document.getElementById("chatSendButton").disabled=!ready;
 }
 
 function sendChatMessage(text) {
- // for now the only channel is global
+ var channel=getChatChannel();
+ var message={k:channel,m:text};
+ if(channel=="w") {
+  message.t=document.getElementById("chatWhisperInput").value;
+ }
  try {
-  socket.send( JSON.stringify({k:"g",m:text}))
-  --globalChatTokens;
-  console.log(globalChatTokens);
-  if(globalChatTokens<=0) {
-   disableChatInput();
-  }
+  socket.send(JSON.stringify(message))
+  --chatTokens[channel];
+  refreshChatSendButton();
  }
  catch(e) {}
 }
 
-function onGlobalChatMessage(m) {
- var box=document.getElementById("chatScrollBox");
- var nearBottom=(box.scrollTop+box.clientHeight>=box.scrollHeight-16);
+function showChatBacklog(lines,instanceOnly) {
+ // after a move, the global lines are ones we've already seen
+ for(var i in lines) {
+  if(lines[i].k=="a") {
+   if(lines[i].n || !instanceOnly) {
+    onAnnouncementMessage(lines[i]);
+   }
+  }
+  else if(lines[i].k=="i" || !instanceOnly) {
+   onChatLineMessage(lines[i]);
+  }
+ }
+}
+
+function makeChatLineStart(m,className) {
  var d=document.createElement("div");
- d.className="chatLine";
- // TODO: username coloring?
+ d.className=className;
+ var time=document.createElement("span");
+ time.className="chatTime";
+ var date=new Date(m.s);
+ time.textContent=("0"+date.getHours()).slice(-2)+":"+
+  ("0"+date.getMinutes()).slice(-2);
+ d.appendChild(time);
+ return d;
+}
+
+function makeChatUsername(m) {
  var head=document.createElement("span");
- head.textContent=m.u;
  head.className="chatUsername";
+ var colors=get3ProfileColors(m.u,m.d);
+ for(var i in colors) {
+  var swatch=document.createElement("span");
+  swatch.textContent="\u2588";
+  swatch.style.color=colors[i];
+  head.appendChild(swatch);
+ }
+ head.appendChild(document.createTextNode(m.u));
+ return head;
+}
+
+function onChatLineMessage(m) {
+ var d=makeChatLineStart(m,"chatLine");
+ if(m.k!="g") {
+  var channel=document.createElement("span");
+  channel.className="chatChannel";
+  channel.textContent=(m.k=="i")?"[here]":
+   (m.u==username)?"[to "+m.t+"]":"[whisper]";
+  d.appendChild(channel);
+ }
  var body=document.createElement("span");
  body.textContent=m.m;
  body.className="chatText";
- d.appendChild(head);
+ d.appendChild(makeChatUsername(m));
  d.appendChild(body);
- box.appendChild(d)
- 
- // if scrolled to bottom before new line, stay scrolled to bottom
- if(nearBottom) {
-  box.scrollTop=box.scrollHeight;
- }
+ appendChatLine(d);
 }
 
-function onGlobalChatTokenMessage() {
- ++globalChatTokens;
- if(globalChatTokens==1) {
-  enableChatInput();
- }
-}
-
-function enableChatInput() {
- document.getElementById("chatSendButton").disabled=false;
+function onAnnouncementMessage(m) {
+ var d=makeChatLineStart(m,"chatAnnouncement");
+ d.appendChild(document.createTextNode("Announcement from "));
+ d.appendChild(makeChatUsername(m));
+ var body=document.createElement("span");
+ body.textContent=m.m;
+ body.className="chatText";
+ d.appendChild(body);
+ appendChatLine(d);
 }
 
-function disableChatInput() {
- document.getElementById("chatSendButton").disabled=true;
+function onChatTokenMessage(m) {
+ ++chatTokens[m.h];
+ refreshChatSendButton();
 }
 
 function defaultGameStateHash(o) {
@@ -828,11 +1469,73 @@ function isKeyFresh(code) {
  return !!keysFreshTracker[code]
 }
 
+function getPointerPosition() {
+ if(!pointerPosition) {
+  return null;
+ }
+ return {x:pointerPosition.x,y:pointerPosition.y};
+}
+
+function isPointerButtonHeld(button) {
+ return !!pointerButtonsHeldTracker[button||0]
+}
+
+function isPointerButtonFresh(button) {
+ return !!pointerButtonsFreshTracker[button||0]
+}
+
+function getTouches() {
+ var ids=Object.getOwnPropertyNames(touchTracker);
+ ids.sort(integerComparator);
+ var touches=[];
+ for(var i in ids) {
+  var touch=touchTracker[ids[i]];
+  touches.push({id:ids[i]|0,x:touch.x,y:touch.y,
+		fresh:touch.fresh,ended:touch.ended});
+ }
+ return touches;
+}
+
+function getGamepadIndices() {
+ var indices=Object.getOwnPropertyNames(gamepadSnapshots);
+ indices.sort(integerComparator);
+ return indices.map(function(i) { return i|0; });
+}
+
+function getGamepadAxis(gamepadIndex,axisIndex) {
+ var snapshot=gamepadSnapshots[gamepadIndex];
+ return (snapshot && snapshot.axes[axisIndex])||0;
+}
+
+function isGamepadButtonHeld(gamepadIndex,buttonIndex) {
+ var snapshot=gamepadSnapshots[gamepadIndex];
+ return !!(snapshot && snapshot.buttons[buttonIndex]);
+}
+
+function isGamepadButtonFresh(gamepadIndex,buttonIndex) {
+ return !!gamepadButtonsFreshTracker[gamepadIndex+":"+buttonIndex]
+}
+
 function getOwnControllerID() {
  return ownControllerID;
 }
 
-function sendGameCommand(commandString,argString) {
+function isSpectating() {
+ return !!spectating;
+}
+
+function getTurnMillisLeft() {
+ if(!turnBased || turnDeadlineTimestamp===null) {
+  return null;
+ }
+ var left=turnDeadlineTimestamp-performance.now();
+ return (left>0)?left:0;
+}
+
+function sendGameCommand(commandString,argString,recipients) {
+ if(spectating) {
+  return;
+ }
  if(commandString in commandRateLimits &&
     (!(commandString in commandRateCounters) ||
      commandRateCounters[commandString]<commandRateLimits[commandString]))
@@ -847,8 +1550,90 @@ function sendGameCommand(commandString,argString) {
   else {
    commandRateCounters[commandString]=1;
   }
-  outgoingCommandQueue.push({o:commandString,a:argString});
+  var command={o:commandString,a:argString};
+  if(recipients) {
+   // other controllers still see the command, but with a null argument
+   command.r=recipients.map(function(c) { return c|0; });
+  }
+  if(turnBased) {
+   // there's no frame to wait for, and nothing to predict with it; the
+   // server puts it in the next turn and echoes it back
+   command.k='o';
+   command.f=pastHorizonFrameNumber;
+   command.s=++commandSerial;
+   try { socket.send(JSON.stringify(command)); } catch(e) {}
+  }
+  else {
+   outgoingCommandQueue.push(command);
+  }
+ }
+}
+
+function isRevealValid(message) {
+ // a null v is a reveal to someone else, so there's nothing to check
+ if(message.v!==null && sha256Hex(message.v)!==message.h) {
+  handleConnectionEnd();
+  showDisconnectReason("Server revealed a secret that doesn't match its commitment.");
+  return false;
  }
+ return true;
+}
+
+function sha256Hex(str) {
+ // synchronous, unlike crypto.subtle, so reveals can be checked as
+ // they arrive. str is hashed as UTF-8.
+ var K=[
+  0x428a2f98,0x71374491,0xb5c0fbcf,0xe9b5dba5,0x3956c25b,0x59f111f1,
+  0x923f82a4,0xab1c5ed5,0xd807aa98,0x12835b01,0x243185be,0x550c7dc3,
+  0x72be5d74,0x80deb1fe,0x9bdc06a7,0xc19bf174,0xe49b69c1,0xefbe4786,
+  0x0fc19dc6,0x240ca1cc,0x2de92c6f,0x4a7484aa,0x5cb0a9dc,0x76f988da,
+  0x983e5152,0xa831c66d,0xb00327c8,0xbf597fc7,0xc6e00bf3,0xd5a79147,
+  0x06ca6351,0x14292967,0x27b70a85,0x2e1b2138,0x4d2c6dfc,0x53380d13,
+  0x650a7354,0x766a0abb,0x81c2c92e,0x92722c85,0xa2bfe8a1,0xa81a664b,
+  0xc24b8b70,0xc76c51a3,0xd192e819,0xd6990624,0xf40e3585,0x106aa070,
+  0x19a4c116,0x1e376c08,0x2748774c,0x34b0bcb5,0x391c0cb3,0x4ed8aa4a,
+  0x5b9cca4f,0x682e6ff3,0x748f82ee,0x78a5636f,0x84c87814,0x8cc70208,
+  0x90befffa,0xa4506ceb,0xbef9a3f7,0xc67178f2];
+ var H=[0x6a09e667,0xbb67ae85,0x3c6ef372,0xa54ff53a,
+	0x510e527f,0x9b05688c,0x1f83d9ab,0x5be0cd19];
+ var bytes=unescape(encodeURIComponent(str+""));
+ var bitLength=bytes.length*8;
+ bytes+="\x80";
+ while(bytes.length%64!=56) { bytes+="\x00"; }
+ // message lengths here are nowhere near 2^32 bits
+ bytes+="\x00\x00\x00\x00";
+ for(var i=3;i>=0;--i) {
+  bytes+=String.fromCharCode((bitLength>>>(i*8))&255);
+ }
+ function rotr(x,n) { return (x>>>n)|(x<<(32-n)); }
+ var w=new Array(64);
+ for(var chunk=0;chunk<bytes.length;chunk+=64) {
+  for(var i=0;i<16;++i) {
+   var j=chunk+i*4;
+   w[i]=(bytes.charCodeAt(j)<<24)|(bytes.charCodeAt(j+1)<<16)|
+    (bytes.charCodeAt(j+2)<<8)|bytes.charCodeAt(j+3);
+  }
+  for(var i=16;i<64;++i) {
+   var s0=rotr(w[i-15],7)^rotr(w[i-15],18)^(w[i-15]>>>3);
+   var s1=rotr(w[i-2],17)^rotr(w[i-2],19)^(w[i-2]>>>10);
+   w[i]=(w[i-16]+s0+w[i-7]+s1)|0;
+  }
+  var a=H[0],b=H[1],c=H[2],d=H[3],e=H[4],f=H[5],g=H[6],h=H[7];
+  for(var i=0;i<64;++i) {
+   var S1=rotr(e,6)^rotr(e,11)^rotr(e,25);
+   var t1=(h+S1+((e&f)^(~e&g))+K[i]+w[i])|0;
+   var S0=rotr(a,2)^rotr(a,13)^rotr(a,22);
+   var t2=(S0+((a&b)^(a&c)^(b&c)))|0;
+   h=g; g=f; f=e; e=(d+t1)|0; d=c; c=b; b=a; a=(t1+t2)|0;
+  }
+  H[0]=(H[0]+a)|0; H[1]=(H[1]+b)|0; H[2]=(H[2]+c)|0; H[3]=(H[3]+d)|0;
+  H[4]=(H[4]+e)|0; H[5]=(H[5]+f)|0; H[6]=(H[6]+g)|0; H[7]=(H[7]+h)|0;
+ }
+ var hex="";
+ for(var i=0;i<8;++i) {
+  hex+=("0000000"+(H[i]>>>0).toString(16)).slice(-8);
+ }
+ return hex;
 }
 
 function showDisconnectReason(reason) {
@@ -875,16 +1660,34 @@ function showPreloginSuccess(message) {
  select.innerHTML="";
  for(var i in message.l) {
   var name=message.l[i]
+  var status=(message.a && message.a[i])||"";
   var option=document.createElement("option");
   option.value=name
   option.innerText=name
+  option.dataset.access=status;
+  if(status=="full" || status=="locked") {
+   // still selectable, since the server may let this user in anyway
+   option.innerText=name+" ("+status+")";
+   option.style.color="gray";
+  }
   if(name==message.n) { option.selected=true; }
   select.appendChild(option);
  }
+ select.addEventListener("change",onInstanceSelectChange);
+ onInstanceSelectChange();
  document.getElementById("preloginUI").style.display="none"
  document.getElementById("loginUI").style.display="block"
 }
 
+function onInstanceSelectChange() {
+ var select=document.getElementById("instanceInput");
+ var option=select.options[select.selectedIndex];
+ // the status only names the first thing in the way, so a locked or full
+ // instance may have a password too
+ document.getElementById("joinPasswordLabel").style.display=
+  (option && option.dataset.access)?"inline":"none";
+}
+
 
 
 function onInitialLoad() {
@@ -940,6 +1743,19 @@ function createScalingCanvas(smallCanvas) {
  largeScalingCanvas.style.position="absolute";
  largeScalingCanvas.style.left="50%";
  largeScalingCanvas.style.top="50%";
+ // pointer helpers need the events; touches shouldn't scroll the page
+ largeScalingCanvas.style.touchAction="none";
+ var pointerEvents=["pointerdown","pointermove","pointerup","pointercancel",
+		    "pointerleave"];
+ for(var i in pointerEvents) {
+  largeScalingCanvas.addEventListener(pointerEvents[i],onPointerEvent);
+ }
+ largeScalingCanvas.addEventListener("contextmenu",function(e) {
+  e.preventDefault();
+ });
+ pointerPosition=null;
+ pointerButtonsHeldTracker={}
+ touchTracker={}
  screenDiv.appendChild(largeScalingCanvas);
  refreshScalingCanvas(true);
  return largeScalingCanvas;
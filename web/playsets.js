@@ -15,9 +15,11 @@
    (1) a single monolothic game-logic-running function
     .advanceGameState(gameState, connects, commands, inputs, disconnects):
       -- gameState is a game state
-      -- connects is a list of {c:controllerID, u:username, d:userConfigString}
+      -- connects is a list of {c:controllerID, u:username, d:userConfigString,
+         e:entranceStringOrNull, b:userDataObject}
       -- commands is a list of {c:controllerID, o:commandString, a:argString}
-      -- inputs is a list of {c:controllerID, i:inputString}
+      -- inputs is a list of {c:controllerID, i:inputString} (or any JSON
+         value in place of the string, see .areInputsStructured)
       -- disconnects is a list of controller IDs
       mutate game state by applying these and one frame's worth of game logic,
       without referencing anything dynamic or doing anything nondeterministic.
@@ -26,8 +28,11 @@
       command strings will not happen, and controller IDs will only be seen
       from their connect frame to their disconnect frame inclusive.
    (2) several smaller functions.
-    .applyConnect(gameState,controllerID,username,userConfigString):
-     required, mutate game state to account for the connect
+    .applyConnect(gameState,controllerID,username,userConfigString,
+                  entranceString,userData):
+     required, mutate game state to account for the connect. entranceString
+     is null unless the controller was moved here from another instance;
+     userData is described below
     .applyCommand(gameState,controllerID,commandString,argString):
      optional, mutate game state to account for the command
     .applyControllerFrame(gameState,controllerID,inputString,commandList):
@@ -53,7 +58,8 @@
     .getName(): return constant string different from any other playset name
     .getCurrentInputString(): called only by client, encode current user inputs
                               (not necessarily every frame, but never more than
-			      once per frame)
+			      once per frame) as a string, or as any JSON
+			      value if .areInputsStructured returns true
     .initUI(gameState): called only by client
     .refreshUI(gameState,frameNumber): called only by client, 
      not necessarily every frame, possibly more than once for the same frame,
@@ -70,12 +76,40 @@
                         strings, and values are how many of that
 			command can be issued by one controller in a frame. if
 			absent, command events won't happen at all.
-   .getInputLengthLimit(): return a number for the maximum input string length;
+   .getInputLengthLimit(): return a number for the maximum input string length
+                           (for a structured input, the length of its JSON);
                            if absent, no limiting is applied other than the
 			   maximum network message size
    .getArgumentLengthLimit(): return a number for the maximum command
                               argument string length; if absent, commands
 			      can only send length-0 argument strings.
+   .validateInput(inputString): called only by server, for each input a
+     client sends; return true if getCurrentInputString could have made
+     it. Otherwise return false, or a string (any value but true or false,
+     for structured inputs) for the server to use instead if
+     config.invalidEventResponse is "replace". The default response is to
+     drop the input, and "kick" disconnects the client. Must not depend on
+     anything but its argument.
+   .validateCommand(commandString,argumentString): called only by server,
+     like validateInput, for commands; a string returned replaces the
+     argument.
+   .areInputsStructured(): return true to have inputs be any JSON value
+     (objects, arrays, numbers...) rather than strings, such as
+     {x:-1,y:0,hop:true}. Game logic still has to cope with anything at
+     all, since a client could send anything within the length limit, and
+     with "", the input of a controller that hasn't sent one yet (or whose
+     input is hidden). Inputs are shared between frames, so don't mutate
+     them.
+   .predictNextInput(input): return the input a controller will have on
+     the next frame if it doesn't send one, which is what clients assume
+     until they hear otherwise [default returns input unchanged]. Leaving
+     out a click or a button's positive edge here keeps it from repeating
+     while the controller lags. Must be deterministic, like game logic,
+     and must not mutate input.
+   .getFrameTiming(): return an object with any of .fps, .pastHorizonFrames
+     and .futureHorizonFrames, for instances that don't set their own; see
+     server.js for the defaults. A slow puzzle might want a low fps, and a
+     game that needs quick reactions a high one with short horizons.
    .copyGameState(gameState): return a deep copy of the game state
                               [default serializes and deserializes]
    .handleClientPrediction(gameState,frameNumber): called only by client, 
@@ -91,31 +125,149 @@
      it's not okay to be wrong about but is okay to delay, clearing out
      tracked data from old handleClientPrediction calls
      Once per frame, in order. Do not mutate state! [default is a no-op]
+   .createGameState(): called only by server, return a fresh game state
+     for a newly created or reset instance. If absent, an admin creating
+     or resetting an instance has to supply the initial state.
    .hashGameState(gameState): return a number or string that will be
      equal on equal game states. If this is absent and deserializeGameState
      and serializedGameState were both left default, this will also take a
      default. If that creates spurious hash mismatches but you don't want
      to define your own hash function, you can just set hashGameState to
      null and the playset won't try to hash-sync.
+
+   Playsets with hidden information may also have:
+   .getControllerView(gameState,controllerID): called only by server, return
+     the part of the game state that controllerID may see, with everything
+     else replaced by placeholders; do not mutate gameState. The controller ID
+     may be a spectator's, which isn't in the game. Clients only ever hold
+     views, and they advance them with the same game logic using the events
+     as they see them (hidden command arguments are null, hidden inputs are
+     "", unrevealed secrets are null). That has to come out the same as
+     the view of the advanced full state, or the client will desync: hidden
+     things can affect other hidden things, but anything visible they affect
+     has to be revealed through a secret or a visible command first.
+   .getHiddenCommands(): return a list of commands whose arguments only the
+     sender ever sees, whatever recipients the sender gave; a view that hides
+     something a command sets needs this, since a client could leave out
+     recipients
+   .areInputsHidden(): return true if input strings should only be seen by
+     the controller that sent them
+   .countSecretsWanted(gameState): called only by server, after each frame
+     at the past horizon; return how many more secrets the game state needs
+     than it has already been given. Secrets are random hex strings from the
+     server that clients only know a commitment (hex sha256) to until
+     revealed, for card shuffles and dice rolls the clients shouldn't be able
+     to predict or fake.
+   .applySecret(gameState,commitment,secretOrNull): required if
+     countSecretsWanted is present; a new secret arrives. The server's state
+     gets the secret, clients get null.
+   .getSecretsToReveal(gameState): called only by server, after each frame at
+     the past horizon; return a list of {h:commitment, v:secret} for secrets
+     that should now be made known, optionally with r:[controllerIDs] to
+     make them known to only those controllers. Keep returning one until its
+     applyReveal happens; the server won't reveal it twice.
+   .applyReveal(gameState,commitment,secretOrNull): required if
+     getSecretsToReveal is present; a secret is revealed. Clients check it
+     against the commitment before this is called. It's null for clients
+     that weren't among the reveal's recipients.
+   Secrets and reveals for a frame are applied before all of that frame's
+   other game logic, sorted by commitment.
+
+   Turn-based playsets, for games where nothing happens between moves, may
+   also have:
+   .isTurnBased(): return true to have instances advance a frame only when
+     something happens (a connect, a command, a disconnect...) or a turn
+     deadline passes, instead of FPS times a second. Clients don't predict;
+     they show the state as of the last advance, and a command takes effect
+     in the next frame after the server gets it. Input strings aren't sent,
+     so game logic should only use commands (getCurrentInputString is still
+     called, so it can send commands for key presses).
+   .getTurnDeadlineMillis(gameState): called only by server, after each
+     advance; return how long the state may sit before it advances on its
+     own, or null for no deadline. The clock starts over with every advance.
+   .applyTurnDeadline(gameState): the deadline passed with nothing else
+     happening. Applied before all of that frame's other game logic.
+
+   Playsets can send controllers on to other instances (a lobby routing
+   players into matches, say) with:
+   .getMoveRequests(gameState): called only by server, after each frame at
+     the past horizon; return a list of {c:controllerID, n:instanceName,
+     e:entranceString} for controllers that should go. Keep returning one
+     until the controller's disconnect or applyMoveRefused happens; the
+     server won't act on it twice.
+   .applyMoveRefused(gameState,controllerID,instanceName,reason): the
+     controller couldn't go (no such instance, or its validateEntrance said
+     no) and is still here. Applied before all of that frame's other game
+     logic.
+   .validateEntrance(gameState,username,userConfigString,fromInstanceName,
+                     entranceString): called only by server, with the
+     destination's past horizon state; return true to let the controller
+     in, or a string saying why not.
+
+   Playsets can keep data for a user between sessions (lifetime scores,
+   unlocks) with:
+   .getUserDataKeys(): return a constant list of the keys this playset
+     reads and writes. Keys are shared with any other playset that lists
+     the same one. A connect's userData holds the user's saved values for
+     these keys, leaving out any they have none for. They came from a
+     save file, so check their types like any other untrusted input.
+   .getUserData(gameState,controllerID): called only by server, after each
+     frame at the past horizon, for every connected controller; return an
+     object with the current values for some or all of the keys, or null.
+     Values must be JSON-compatible. Do not mutate state! Anything changed
+     in a controller's disconnect frame is lost, since it's already gone.
 			      
    Client-only methods may access and mutate the DOM. Additionally,
    they can call support functions that are defined in the client, including:
 
-   sendGameCommand(commandString [,argString]): issue a command event 
-    (next time a frame is sent; if rate limits block it it will be dropped
-    entirely, not delayed) Sending a game command as a side effect during 
-    getCurrentInputString is allowed, as is sending one from a DOM event 
-    that was set up by initUI or refreshUI.    
+   sendGameCommand(commandString [,argString [,recipients]]): issue a
+    command event (next time a frame is sent; if rate limits block it it will
+    be dropped entirely, not delayed) Sending a game command as a side effect
+    during getCurrentInputString is allowed, as is sending one from a DOM
+    event that was set up by initUI or refreshUI. If recipients is given, it's
+    a list of the controller IDs other than the sender's own that may see
+    argString; everyone else gets the command with a null argument.
    isKeyHeld(code): boolean
    isKeyFresh(code): boolean, true if there's a positive-edge since last
                      getCurrentInputString 
+   getPointerPosition(): {x,y} of the mouse (or the first finger down) in
+                         pixels of the canvas given to createScalingCanvas,
+                         or null if it isn't over that canvas. Dragging
+                         with a button held keeps it coming, even outside
+                         the canvas, where it can go negative or past the
+                         canvas size
+   isPointerButtonHeld(button), isPointerButtonFresh(button): like the
+    key functions, for mouse buttons numbered as in MouseEvent.button (0
+    is the main one, 2 the right); a finger down counts as button 0.
+    Only presses on the scaling canvas count
+   getTouches(): list of {id,x,y,fresh,ended} for the fingers on the
+                 scaling canvas, in the same coordinates, ordered by id
+                 (which stays the same while a finger stays down). fresh
+                 means it came down since the last getCurrentInputString;
+                 a tap too quick to see otherwise is listed once with
+                 ended true
+   getGamepadIndices(): list of the connected gamepads' indices
+   getGamepadAxis(gamepadIndex,axisIndex): -1 to 1, or 0 if there's no
+                                           such gamepad or axis
+   isGamepadButtonHeld(gamepadIndex,buttonIndex),
+   isGamepadButtonFresh(gamepadIndex,buttonIndex): like the key functions
+   Gamepads are read once just before each getCurrentInputString, and a
+   gamepad's axes and buttons are numbered as the Gamepad API has them
+   (its "standard" mapping, for most controllers)
    getOwnControllerId(): returns controller ID of local player
+   isSpectating(): true if the local user is only watching; the own
+                   controller ID then isn't in the game, getCurrentInputString
+                   isn't called, and sendGameCommand does nothing
+   getTurnMillisLeft(): for a turn-based playset, milliseconds until the
+                        turn deadline, or null if there isn't one. refreshUI
+                        gets called again whenever it ticks over a second
    createScalingCanvas(smallCanvas): returns a canvas that's centered in
                                      screenDiv and tracks the given canvas
 				     at a pixel size multiple. calling
 				     it again abandons the old one. the return
-				     value can be ignored but might be
-				     useful for attaching mouse event handlers
+				     value can be ignored; the pointer and
+				     touch functions above already listen
+				     to it
    
 
 
@@ -139,14 +291,16 @@
    will be delayed to happen on just the next non-missing one, not multiplied.
    For example, if positive-edge and negative-edge UI events matter, then those
    events should be explicit commands or implicit in input string changes,
-   not explicitly part of the input string. Command arguments can provide the
+   not explicitly part of the input string, unless predictNextInput leaves
+   them out of the repeats. Command arguments can provide the
    "noun" for a command's "verb", such as mouse click coordinates.
 
    playset signature summary:
     getName()=>static string
 
     [basic game logic]
-    applyConnect(mutable state,connectionID,username,profileString)
+    applyConnect(mutable state,connectionID,username,profileString,
+                 entranceOrNull,userData)
     applyControllerFrame(mutable state,connectionID,inputString,commands)
      in which commands is an array of 0+ {o:commandString, a:argumentString}
     applyStateFrame(mutable state)
@@ -156,7 +310,7 @@
     advanceGameState(mutable state,connects,commands,inputs,disconnectIDs)
 
     [used on client only]
-    getCurrentInputString()=>dynamic string
+    getCurrentInputString()=>dynamic string (or JSON value, if structured)
     initUI(state) updates client DOM
     refreshUI(state) updates client DOM
     destroyUI(state) updates client DOM
@@ -179,10 +333,47 @@
     [not required, but help server protect against malicious clients]
     getInputLengthLimit()=>static number
     getArgumentLengthLimit()=>static number
+    validateInput(input)=>true, false or replacement input
+    validateCommand(commandString,argumentString)=>true, false or
+     replacement argument string
+
+    [not required, for inputs other than strings or that don't just repeat]
+    areInputsStructured()=>static boolean
+    predictNextInput(input)=>input
 
     [not required, but helps client detect playset bugs]
     hashGameState(state)=>number or string
 
+    [not required, but lets admins create instances without supplying a state]
+    createGameState()=>state
+
+    [not required, for running at other than 30fps]
+    getFrameTiming()=>static {fps, pastHorizonFrames, futureHorizonFrames}
+
+    [hidden information, see above]
+    getControllerView(state,controllerID)=>state
+    getHiddenCommands()=>static array of strings
+    areInputsHidden()=>static boolean
+    countSecretsWanted(state)=>number
+    applySecret(mutable state,commitment,secretOrNull)
+    getSecretsToReveal(state)=>array of {h:commitment, v:secret, r:[IDs]}
+    applyReveal(mutable state,commitment,secretOrNull)
+
+    [turn-based, see above]
+    isTurnBased()=>static boolean
+    getTurnDeadlineMillis(state)=>number or null
+    applyTurnDeadline(mutable state)
+
+    [moving between instances, see above]
+    getMoveRequests(state)=>array of {c:controllerID, n:instanceName,
+                                      e:entrance}
+    applyMoveRefused(mutable state,controllerID,instanceName,reason)
+    validateEntrance(state,username,profileString,fromInstance,entrance)
+     =>true or reason string
+
+    [per-user data, see above]
+    getUserDataKeys()=>static array of strings
+    getUserData(state,controllerID)=>object or null
     
    });
 
@@ -266,7 +457,27 @@ registerPlayset({
  getCommandLimits:function() {
   return {'f':1}
  },
+ validateInput:function(input) {
+  // getCurrentInputString gives each of these letters at most once, in
+  // this order; anything else keeps whichever of them it has
+  var canonical="";
+  var letters="lrud";
+  for(var i=0;i<letters.length;++i) {
+   if(input.indexOf(letters[i])!=-1) { canonical+=letters[i]; }
+  }
+  return (input===canonical)?true:canonical;
+ },
  getName:function() { return "spaceduel" },
+ createGameState:function() {
+  return {ships:{},shots:[]};
+ },
+ getUserDataKeys:function() {
+  return ["kills"];
+ },
+ getUserData:function(state,controllerID) {
+  var ship=state.ships[controllerID];
+  return ship?{kills:ship.kills}:null;
+ },
  rand:function(state,n) {
   state.prng=((state.prng||1)*16807)%this.RNG_MODULUS
   return state.prng%n;
@@ -285,14 +496,19 @@ registerPlayset({
   ship.yv=0;
  },
  
- applyConnect:function(state,controllerID,username,profile) {
+ applyConnect:function(state,controllerID,username,profile,entrance,
+			userData) {
   var x=this.rand(state,160*256)+80*256;
   var y=this.rand(state,160*256)+40*256;
   var theta=this.rand(state,360);
+  var kills=userData.kills;
   var s={
    controller:controllerID,
    username:username,
    profile:profile,
+   // lifetime, not just this session
+   kills:(typeof(kills)=="number" && kills>=0 &&
+	  kills<=Number.MAX_SAFE_INTEGER)?M.trunc(kills):0,
   };
   this.respawnShip(state,s);
   state.ships[controllerID]=s;
@@ -352,6 +568,10 @@ registerPlayset({
      if(dx*dx+dy*dy<(10*256)*(10*256)) {
       this.respawnShip(state,ship);
       shots[i].done=true
+      var shooter=ships[shots[i].controller];
+      if(shooter) {
+       shooter.kills=(shooter.kills||0)+1;
+      }
      }     
     }
    },this);
@@ -408,6 +628,9 @@ registerPlayset({
     drawTriangle(ship,5);
     context.fill();
    }
+   context.fillStyle="gray";
+   context.font="8px monospace";
+   context.fillText(ship.kills||0,ship.x/256+12,ship.y/256-12);
   });
   for(var i in shots) {
    context.fillStyle="white";
@@ -422,27 +645,69 @@ registerPlayset({
  },
  destroyUI:function() {
  },
+ STICK_DEAD_ZONE:0.5,
  getCurrentInputString:function() {
-  if(isKeyFresh("KeyZ")) {
+  // arrows and Z, or any gamepad's d-pad or left stick and bottom face
+  // button (in the standard mapping); a click or tap fires too
+  var left=isKeyHeld("ArrowLeft"), right=isKeyHeld("ArrowRight");
+  var up=isKeyHeld("ArrowUp"), down=isKeyHeld("ArrowDown");
+  var fire=isKeyFresh("KeyZ") || isPointerButtonFresh(0);
+  var pads=getGamepadIndices();
+  for(var i in pads) {
+   var pad=pads[i];
+   var x=getGamepadAxis(pad,0), y=getGamepadAxis(pad,1);
+   left=left || isGamepadButtonHeld(pad,14) || x< -this.STICK_DEAD_ZONE;
+   right=right || isGamepadButtonHeld(pad,15) || x>this.STICK_DEAD_ZONE;
+   up=up || isGamepadButtonHeld(pad,12) || y< -this.STICK_DEAD_ZONE;
+   down=down || isGamepadButtonHeld(pad,13) || y>this.STICK_DEAD_ZONE;
+   fire=fire || isGamepadButtonFresh(pad,0);
+  }
+  if(fire) {
    sendGameCommand("f");
   }
-  return (isKeyHeld("ArrowLeft")?"l":"")+
-   (isKeyHeld("ArrowRight")?"r":"")+
-   (isKeyHeld("ArrowUp")?"u":"")+
-   (isKeyHeld("ArrowDown")?"d":"");  
+  return (left?"l":"")+(right?"r":"")+(up?"u":"")+(down?"d":"");
  }
 });
 
 registerPlayset(
  {
+  // state.doors, if an admin puts any there, is a list of
+  // {x,y,width,height,n:instanceName}; walking into one goes there.
+  // inputs are {x,y} steps of -1, 0 or 1, with hop:true on the frame
+  // Space is pressed to jump HOP_DISTANCE that way
   COLORS:["red","green","blue","yellow","cyan","magenta"],
+  START_X:320,
+  START_Y:320,
+  HOP_DISTANCE:8,
   getName:function() { return "testgame1" },
+  areInputsStructured:function() { return true; },
+  getInputLengthLimit:function() { return 32; },
+  predictNextInput:function(input) {
+   // keep walking, but don't hop again
+   if(input!==null && typeof(input)=="object" && input.hop) {
+    return {x:input.x,y:input.y};
+   }
+   return input;
+  },
+  readMove:function(input) {
+   // "" until a controller sends its first input, and anything at all
+   // from a misbehaving client
+   var move={x:0,y:0,hop:false};
+   if(input===null || typeof(input)!="object") { return move; }
+   if(input.x===-1 || input.x===1) { move.x=input.x; }
+   if(input.y===-1 || input.y===1) { move.y=input.y; }
+   move.hop=(input.hop===true);
+   return move;
+  },
+  createGameState:function() {
+   return {dots:[]};
+  },
   advanceGameState:function(state,connects,commands,inputs,disconnects) {
    var dots=state.dots
    for(var i in connects) {
     dots.push({
-     x:320,
-     y:320,
+     x:this.START_X,
+     y:this.START_Y,
      width:2,
      height:2,
      color:this.COLORS[(state.nextColor||0)%this.COLORS.length],
@@ -456,12 +721,10 @@ registerPlayset(
    }
    for(var i in dots) {
     if(dots[i].controller in dotMoves) {
-     var move=dotMoves[dots[i].controller];
-     function hasKey(k) {
-      return move.indexOf(k)!=-1;
-     }
-     dots[i].x+=((hasKey("d"))?1:0)-((hasKey("a"))?1:0)
-     dots[i].y+=((hasKey("s"))?1:0)-((hasKey("w"))?1:0)
+     var move=this.readMove(dotMoves[dots[i].controller]);
+     var step=move.hop?this.HOP_DISTANCE:1;
+     dots[i].x+=move.x*step;
+     dots[i].y+=move.y*step;
     }
    }
    if(disconnects.length>0) {
@@ -470,6 +733,36 @@ registerPlayset(
     });
    }
   },
+  findDoor:function(state,dot) {
+   var doors=state.doors||[];
+   for(var i in doors) {
+    var door=doors[i];
+    if(dot.x>=door.x && dot.x<door.x+door.width &&
+       dot.y>=door.y && dot.y<door.y+door.height) {
+     return door;
+    }
+   }
+   return null;
+  },
+  getMoveRequests:function(state) {
+   var requests=[];
+   for(var i in state.dots) {
+    var door=this.findDoor(state,state.dots[i]);
+    if(door) {
+     requests.push({c:state.dots[i].controller,n:door.n,e:this.getName()});
+    }
+   }
+   return requests;
+  },
+  applyMoveRefused:function(state,controllerID,instanceName,reason) {
+   // back to the start, out of the doorway
+   for(var i in state.dots) {
+    if(state.dots[i].controller==controllerID) {
+     state.dots[i].x=this.START_X;
+     state.dots[i].y=this.START_Y;
+    }
+   }
+  },
    
   initUI:function(state) {
    var canvas=document.createElement("canvas");
@@ -488,6 +781,13 @@ registerPlayset(
    var context=clientState.context2d;
    context.fillStyle="black"
    context.fillRect(0,0,640,480);
+   var doors=state.doors||[];
+   for(var i in doors) {
+    context.strokeStyle="white";
+    context.strokeRect(doors[i].x,doors[i].y,doors[i].width,doors[i].height);
+    context.fillStyle="white";
+    context.fillText(doors[i].n,doors[i].x,doors[i].y-2);
+   }
    for(var i in dots) {
     context.fillStyle=dots[i].color;
     context.fillRect(dots[i].x,dots[i].y,
@@ -498,12 +798,308 @@ registerPlayset(
    screenDiv.innerHTML="";
   },
   getCurrentInputString:function() {
-   var ret=
-       (isKeyHeld("KeyA")?"a":"")+
-       (isKeyHeld("KeyW")?"w":"")+
-       (isKeyHeld("KeyS")?"s":"")+
-       (isKeyHeld("KeyD")?"d":"");
-   return ret;
+   var input={x:(isKeyHeld("KeyD")?1:0)-(isKeyHeld("KeyA")?1:0),
+	      y:(isKeyHeld("KeyS")?1:0)-(isKeyHeld("KeyW")?1:0)};
+   if(isKeyFresh("Space")) {
+    input.hop=true;
+   }
+   return input;
+  }
+ }
+);
+
+registerPlayset(
+ {
+  // a fair coin nobody can predict, including whoever flips it: each coin
+  // is a server secret committed to before anyone calls it. calls are
+  // hidden commands, so only the caller knows theirs (and their score)
+  HISTORY_LENGTH:8,
+  getName:function() { return "cointoss" },
+  getCommandLimits:function() {
+   return {"flip":1,"call":1};
+  },
+  getArgumentLengthLimit:function() {
+   return 1;
+  },
+  getHiddenCommands:function() {
+   return ["call"];
+  },
+  createGameState:function() {
+   return {players:{},coin:null,results:[]};
+  },
+  applyConnect:function(state,controllerID,username,profile) {
+   state.players[controllerID]={username:username,call:null,correct:0};
+  },
+  applyCommand:function(state,controllerID,command,arg) {
+   var player=state.players[controllerID];
+   if(command=="call") {
+    player.call=(arg=="h" || arg=="t")?arg:null;
+   }
+   else if(command=="flip" && state.coin && state.coin.flipper===null) {
+    state.coin.flipper=controllerID;
+   }
+  },
+  applyControllerFrame:function(state,controllerID,input,commands) {
+  },
+  applyDisconnect:function(state,controllerID) {
+   delete state.players[controllerID];
+  },
+  countSecretsWanted:function(state) {
+   return state.coin?0:1;
+  },
+  applySecret:function(state,commitment,secret) {
+   state.coin={h:commitment,v:secret,flipper:null};
+  },
+  getSecretsToReveal:function(state) {
+   if(state.coin && state.coin.flipper!==null) {
+    return [{h:state.coin.h,v:state.coin.v}];
+   }
+   return [];
+  },
+  applyReveal:function(state,commitment,secret) {
+   if(!state.coin || state.coin.h!=commitment) { return; }
+   var result=(parseInt(secret.slice(-1),16)%2)?"t":"h";
+   M.forEachAscending(state.players,function(player) {
+    if(player.call==result) {
+     ++player.correct;
+    }
+    player.call=null;
+   });
+   state.results.unshift({h:commitment,v:secret,result:result,
+			  flipper:state.coin.flipper});
+   state.results=state.results.slice(0,this.HISTORY_LENGTH);
+   state.coin=null;
+  },
+  getControllerView:function(state,controllerID) {
+   var view=JSON.parse(JSON.stringify(state));
+   if(view.coin) {
+    view.coin.v=null;
+   }
+   for(var c in view.players) {
+    if(c!=controllerID) {
+     // what this controller's own logic would have come up with, given
+     // that it only ever sees other players' calls as null
+     view.players[c].call=null;
+     view.players[c].correct=0;
+    }
+   }
+   return view;
+  },
+  initUI:function(state) {
+   clientState.div=document.createElement("div");
+   clientState.div.style.margin="1em";
+   clientState.div.style.whiteSpace="pre-wrap";
+   screenDiv.appendChild(clientState.div);
+  },
+  refreshUI:function(state) {
+   var own=state.players[getOwnControllerID()];
+   var lines=[];
+   if(state.coin) {
+    lines.push("Next coin, committed: "+state.coin.h);
+    if(state.coin.flipper!==null) {
+     lines.push("...flipping!");
+    }
+   }
+   else {
+    lines.push("Waiting for a coin...");
+   }
+   if(own) {
+    lines.push("H or T to call it (nobody else sees your call), F to flip.");
+    lines.push("Your call: "+(own.call||"none")+
+	       ", correct calls: "+own.correct);
+   }
+   lines.push("");
+   lines.push("Results (secret, whose sha256 is the commitment):");
+   for(var i in state.results) {
+    var r=state.results[i];
+    var flipper=state.players[r.flipper];
+    lines.push((r.result=="h"?"heads":"tails")+" flipped by "+
+	       (flipper?flipper.username:"someone who left")+": "+r.v);
+   }
+   clientState.div.textContent=lines.join("\n");
+  },
+  destroyUI:function() {
+   screenDiv.innerHTML="";
+  },
+  getCurrentInputString:function() {
+   if(isKeyFresh("KeyF")) {
+    sendGameCommand("flip");
+   }
+   if(isKeyFresh("KeyH")) {
+    sendGameCommand("call","h");
+   }
+   if(isKeyFresh("KeyT")) {
+    sendGameCommand("call","t");
+   }
+   return "";
+  }
+ }
+);
+
+registerPlayset(
+ {
+  // turn-based: two seated players alternate, anyone else waits for a
+  // seat. running out of time passes the turn to the other player
+  TURN_MILLIS:30000,
+  MARKS:["X","O"],
+  LINES:[[0,1,2],[3,4,5],[6,7,8],[0,3,6],[1,4,7],[2,5,8],[0,4,8],[2,4,6]],
+  getName:function() { return "tictactoe" },
+  isTurnBased:function() { return true; },
+  getCommandLimits:function() {
+   return {"move":1,"newgame":1};
+  },
+  validateCommand:function(command,argument) {
+   if(command=="move") {
+    return argument.length==1 && argument>="0" && argument<="8";
+   }
+   return argument=="";
+  },
+  getArgumentLengthLimit:function() {
+   return 1;
+  },
+  createGameState:function() {
+   return {players:{},seats:[null,null],board:this.makeBoard(),
+	   turn:0,winner:null};
+  },
+  makeBoard:function() {
+   return [null,null,null,null,null,null,null,null,null];
+  },
+  getSeat:function(state,controllerID) {
+   for(var i=0;i<state.seats.length;++i) {
+    if(state.seats[i]==controllerID) { return i; }
+   }
+   return -1;
+  },
+  fillSeats:function(state) {
+   M.forEachAscending(state.players,function(player,c) {
+    if(this.getSeat(state,c)==-1) {
+     var empty=state.seats.indexOf(null);
+     if(empty!=-1) {
+      state.seats[empty]=c|0;
+     }
+    }
+   },this);
+  },
+  findWinner:function(board) {
+   for(var i=0;i<this.LINES.length;++i) {
+    var line=this.LINES[i];
+    if(board[line[0]]!==null && board[line[0]]==board[line[1]] &&
+       board[line[1]]==board[line[2]]) {
+     return board[line[0]];
+    }
+   }
+   return (board.indexOf(null)==-1)?"draw":null;
+  },
+  applyConnect:function(state,controllerID,username,profile) {
+   state.players[controllerID]={username:username};
+   this.fillSeats(state);
+  },
+  applyCommand:function(state,controllerID,command,arg) {
+   var seat=this.getSeat(state,controllerID);
+   if(seat==-1) { return; }
+   if(command=="move" && state.winner===null && seat==state.turn &&
+      state.seats[1-seat]!==null) {
+    var cell="012345678".indexOf(arg);
+    if(arg.length==1 && cell!=-1 && state.board[cell]===null) {
+     state.board[cell]=seat;
+     state.winner=this.findWinner(state.board);
+     state.turn=1-seat;
+    }
+   }
+   else if(command=="newgame" && state.winner!==null) {
+    state.board=this.makeBoard();
+    state.winner=null;
+   }
+  },
+  applyControllerFrame:function(state,controllerID,input,commands) {
+  },
+  applyDisconnect:function(state,controllerID) {
+   var seat=this.getSeat(state,controllerID);
+   delete state.players[controllerID];
+   if(seat!=-1) {
+    state.seats[seat]=null;
+    this.fillSeats(state);
+   }
+  },
+  validateEntrance:function(state,username,profile,fromInstance,entrance) {
+   if(state.seats.indexOf(null)==-1) {
+    return "both seats are taken";
+   }
+   return true;
+  },
+  getTurnDeadlineMillis:function(state) {
+   if(state.winner===null && state.seats[0]!==null &&
+      state.seats[1]!==null) {
+    return this.TURN_MILLIS;
+   }
+   return null;
+  },
+  applyTurnDeadline:function(state) {
+   if(state.winner===null) {
+    state.turn=1-state.turn;
+   }
+  },
+  initUI:function(state) {
+   var div=document.createElement("div");
+   div.style.margin="1em";
+   clientState.cells=[];
+   for(var i=0;i<9;++i) {
+    var button=document.createElement("button");
+    button.style.width="3em";
+    button.style.height="3em";
+    button.onclick=sendGameCommand.bind(null,"move",i+"");
+    clientState.cells.push(button);
+    div.appendChild(button);
+    if(i%3==2) {
+     div.appendChild(document.createElement("br"));
+    }
+   }
+   clientState.status=document.createElement("div");
+   clientState.status.style.whiteSpace="pre-wrap";
+   div.appendChild(clientState.status);
+   var newGame=document.createElement("button");
+   newGame.textContent="New game";
+   newGame.onclick=sendGameCommand.bind(null,"newgame","");
+   div.appendChild(newGame);
+   screenDiv.appendChild(div);
+  },
+  refreshUI:function(state) {
+   for(var i=0;i<9;++i) {
+    var mark=state.board[i];
+    clientState.cells[i].textContent=(mark===null)?"":this.MARKS[mark];
+   }
+   var lines=[];
+   var seat=this.getSeat(state,getOwnControllerID());
+   if(isSpectating()) {
+    lines.push("Spectating.");
+   }
+   else if(seat==-1) {
+    lines.push("Waiting for a seat.");
+   }
+   else {
+    lines.push("You are "+this.MARKS[seat]+".");
+   }
+   if(state.winner=="draw") {
+    lines.push("Draw.");
+   }
+   else if(state.winner!==null) {
+    lines.push(this.MARKS[state.winner]+" wins.");
+   }
+   else if(state.seats[1-state.turn]===null) {
+    lines.push("Waiting for an opponent.");
+   }
+   else {
+    var left=getTurnMillisLeft();
+    lines.push(this.MARKS[state.turn]+" to move"+
+	       ((left===null)?".":" ("+Math.ceil(left/1000)+"s)."));
+   }
+   clientState.status.textContent=lines.join("\n");
+  },
+  destroyUI:function() {
+   screenDiv.innerHTML="";
+  },
+  getCurrentInputString:function() {
+   return "";
   }
  }
 );
@@ -0,0 +1,213 @@
+"use strict"
+
+/* Replay viewer. Borrows client.js's prediction machinery: a replay is
+   just a client whose instanceEvents are all known in advance, so the
+   past horizon is simply the frame being shown. Replay files are
+   described in the header comment of server.js.
+ */
+
+var replayEvents; // frame number -> list of events, like instanceEvents
+var replayFirstFrame, replayLastFrame;
+var replayCheckpoints; // frame number -> {g:gameState, x:controllerStatus}
+var replayPlaying;
+var replayClock; // fractional frame number while playing
+var replayLastTickTimestamp;
+
+// states are never mutated once computed, so checkpoints are just kept
+// references; this is how far apart they are
+const REPLAY_CHECKPOINT_SECONDS=10;
+
+function parseReplay(text) {
+ var lines=text.split("\n").filter(function(line) { return line.trim(); });
+ var header=JSON.parse(lines[0]);
+ var events={};
+ var lastFrame=header.f;
+ for(var i=1;i<lines.length;++i) {
+  var line=JSON.parse(lines[i]);
+  if(line.e) {
+   events[line.f]=line.e;
+   lastFrame=Math.max(lastFrame,line.f+1);
+  }
+  else {
+   lastFrame=Math.max(lastFrame,line.f);
+  }
+ }
+ return {header:header,events:events,lastFrame:lastFrame};
+}
+
+function onReplayFileChange() {
+ var file=this.files[0];
+ if(!file) { return; }
+ var reader=new FileReader();
+ reader.onload=function() {
+  try {
+   startReplay(parseReplay(reader.result));
+  }
+  catch(e) {
+   console.error(e);
+   showReplayError("Could not read replay: "+e.message);
+  }
+ }
+ reader.readAsText(file);
+}
+
+function showReplayError(text) {
+ document.getElementById("errorDiv").textContent=text;
+ document.getElementById("errorDiv").style.display="block";
+}
+
+function startReplay(replay) {
+ var newPlayset=getPlayset(replay.header.p);
+ if(!newPlayset) {
+  showReplayError("Unknown playset "+replay.header.p);
+  return;
+ }
+ document.getElementById("errorDiv").style.display="none";
+ pauseReplay();
+ if(playset) {
+  playset.destroyUI();
+ }
+ playset=newPlayset;
+ clientState={};
+ spectating=true;
+ ownControllerID=null;
+ resetInputTrackers();
+ fps=replay.header.r;
+ replayEvents=replay.events;
+ replayFirstFrame=replay.header.f;
+ replayLastFrame=replay.lastFrame;
+ replayCheckpoints={};
+ replayCheckpoints[replayFirstFrame]={
+  g:playset.deserializeGameState(replay.header.g),
+  x:replay.header.x
+ };
+ resetReplayTo(replayFirstFrame);
+
+ var seek=document.getElementById("replaySeekInput");
+ seek.min=replayFirstFrame;
+ seek.max=replayLastFrame;
+ seek.value=replayFirstFrame;
+ seek.disabled=false;
+ document.getElementById("replayPlayButton").disabled=false;
+
+ screenDiv=document.getElementById("mainGameUI");
+ screenDiv.innerHTML="";
+ playset.initUI(gameStates[pastHorizonFrameNumber]);
+ drawReplayFrame();
+}
+
+function resetReplayTo(checkpointFrame) {
+ var checkpoint=replayCheckpoints[checkpointFrame];
+ pastHorizonFrameNumber=checkpointFrame;
+ instanceEvents=replayEvents;
+ gameStates={};
+ gameStates[checkpointFrame]=checkpoint.g;
+ controllerStatuses={};
+ controllerStatuses[checkpointFrame]=checkpoint.x;
+}
+
+function stepReplayTo(frameNumber,confirm) {
+ if(frameNumber<pastHorizonFrameNumber) {
+  var best=replayFirstFrame;
+  for(var k in replayCheckpoints) {
+   k=k|0;
+   if(k<=frameNumber && k>best) { best=k; }
+  }
+  resetReplayTo(best);
+ }
+ while(pastHorizonFrameNumber<frameNumber) {
+  computeGameStateGivenPrevious(pastHorizonFrameNumber+1);
+  delete gameStates[pastHorizonFrameNumber];
+  delete controllerStatuses[pastHorizonFrameNumber];
+  ++pastHorizonFrameNumber;
+  if((pastHorizonFrameNumber-replayFirstFrame)%
+     (fps*REPLAY_CHECKPOINT_SECONDS)==0) {
+   replayCheckpoints[pastHorizonFrameNumber]={
+    g:gameStates[pastHorizonFrameNumber],
+    x:controllerStatuses[pastHorizonFrameNumber]
+   };
+  }
+  if(confirm) {
+   playset.handleClientConfirmation(gameStates[pastHorizonFrameNumber],
+				    pastHorizonFrameNumber);
+  }
+ }
+}
+
+function drawReplayFrame() {
+ playset.refreshUI(gameStates[pastHorizonFrameNumber],pastHorizonFrameNumber);
+ refreshScalingCanvas();
+ document.getElementById("replaySeekInput").value=pastHorizonFrameNumber;
+ document.getElementById("replayFrameLabel").textContent=
+  formatReplayTime(pastHorizonFrameNumber-replayFirstFrame)+" / "+
+  formatReplayTime(replayLastFrame-replayFirstFrame);
+}
+
+function formatReplayTime(frames) {
+ var seconds=Math.floor(frames/fps);
+ var s=seconds%60;
+ return Math.floor(seconds/60)+":"+(s<10?"0":"")+s;
+}
+
+function onReplayPlayClick() {
+ if(replayPlaying) {
+  pauseReplay();
+ }
+ else {
+  if(pastHorizonFrameNumber>=replayLastFrame) {
+   stepReplayTo(replayFirstFrame,false);
+  }
+  replayPlaying=true;
+  replayClock=pastHorizonFrameNumber;
+  replayLastTickTimestamp=performance.now();
+  document.getElementById("replayPlayButton").textContent="Pause";
+  animationFrameRequestHandle=requestAnimationFrame(onReplayAnimationFrame);
+ }
+}
+
+function pauseReplay() {
+ replayPlaying=false;
+ if(animationFrameRequestHandle) {
+  cancelAnimationFrame(animationFrameRequestHandle);
+  animationFrameRequestHandle=null;
+ }
+ document.getElementById("replayPlayButton").textContent="Play";
+}
+
+function onReplayAnimationFrame() {
+ var now=performance.now();
+ var speed=+document.getElementById("replaySpeedInput").value;
+ replayClock+=(now-replayLastTickTimestamp)*fps*speed/1000;
+ replayLastTickTimestamp=now;
+ var frameNumber=Math.floor(replayClock);
+ if(frameNumber>=replayLastFrame) {
+  frameNumber=replayLastFrame;
+ }
+ if(frameNumber!=pastHorizonFrameNumber) {
+  stepReplayTo(frameNumber,true);
+  drawReplayFrame();
+ }
+ if(frameNumber>=replayLastFrame) {
+  pauseReplay();
+ }
+ else {
+  animationFrameRequestHandle=requestAnimationFrame(onReplayAnimationFrame);
+ }
+}
+
+function onReplaySeekInput() {
+ stepReplayTo(this.value|0,false);
+ replayClock=pastHorizonFrameNumber;
+ drawReplayFrame();
+}
+
+function onReplayLoad() {
+ window.removeEventListener("load",onReplayLoad);
+ document.getElementById("replayFileInput").onchange=onReplayFileChange;
+ document.getElementById("replayPlayButton").onclick=onReplayPlayClick;
+ document.getElementById("replaySeekInput").oninput=onReplaySeekInput;
+}
+
+// this page has no server connection, so none of the login page setup
+window.removeEventListener("load",onInitialLoad);
+window.addEventListener("load",onReplayLoad);
@@ -1,5 +1,24 @@
 "use strict"
 
+// session tokens by username, so once a password has worked the form can be
+// used again with the password field left empty
+var sessionTokens={}
+
+// which admin form field to fix for each error code
+const ADMIN_ERROR_FIELDS={
+ "AUTH_FAILED":"passwordInputA",
+ "SESSION_EXPIRED":"passwordInputA",
+ "NOT_ADMIN":"usernameInputA",
+ "USER_MISSING":"targetInputA",
+ "INVALID_USERNAME":"targetInputA",
+ "USERNAME_TAKEN":"targetInputA",
+ "INVALID_PASSWORD":"newPasswordInputA",
+ "INVALID_CONFIG":"configInputA",
+ "INSTANCE_MISSING":"instanceInputA",
+ "INSTANCE_NAME_TAKEN":"instanceInputA",
+ "PLAYSET_MISSING":"playsetInputA",
+}
+
 function onCUClick() {
  var buttonCU=document.getElementById("buttonCU");
  if(!buttonCU.disabled) {
@@ -19,9 +38,14 @@ function onCUClick() {
  }
 }
 
-function onCUError(errorString) {
+function onCUError(errorString,code) {
  document.getElementById("resultCU").innerText=errorString;
  document.getElementById("buttonCU").disabled=false;
+ focusErrorField(code,{
+  "INVALID_USERNAME":"usernameInputCU",
+  "USERNAME_TAKEN":"usernameInputCU",
+  "INVALID_PASSWORD":"passwordInputCU",
+ });
 }
 
 function onCUResult(successString,username,password) {
@@ -44,14 +68,23 @@ function onCPClick() {
    "p":password,
    "n":newPassword,
   })
-  sendAPIMessage(message,onCUError,onCPResult);
+  sendAPIMessage(message,onCPError,function(successString) {
+   // the server revoked every session for this user
+   delete sessionTokens[username];
+   onCPResult(successString);
+  });
   buttonCP.disabled=true;
  }
 }
 
-function onCPError(errorString) {
+function onCPError(errorString,code) {
  document.getElementById("resultCP").innerText=errorString;
  document.getElementById("buttonCP").disabled=false;
+ focusErrorField(code,{
+  "AUTH_FAILED":"passwordInputCP",
+  "SESSION_EXPIRED":"passwordInputCP",
+  "INVALID_PASSWORD":"newPasswordInputCP",
+ });
 }
 
 function onCPResult(successString) {
@@ -59,32 +92,41 @@ function onCPResult(successString) {
  document.getElementById("buttonCP").disabled=false;
 }
 
+function onRevokeSessionsClick() {
+ var username=document.getElementById("usernameInputCP").value;
+ var password=document.getElementById("passwordInputCP").value;
+ sendCredentialedAPIMessage(username,password,{"k":"revokeMySessions"},
+			    onCPError,function(successString) {
+			     delete sessionTokens[username];
+			     onCPResult(successString);
+			    });
+}
+
 function onPClick() {
  var buttonP=document.getElementById("buttonP");
  if(!buttonP.disabled) {
   var username=document.getElementById("usernameInputP").value;
   var password=document.getElementById("passwordInputP").value;
-  var message=JSON.stringify({
-   "k":"getMyConfig",
-   "u":username,
-   "p":password,
-  })
-  sendAPIMessage(message,onPError,function(successString) {
-   console.log(successString);
-   onPResult(successString,username,password);
-  });
+  sendCredentialedAPIMessage(username,password,{"k":"getMyConfig"},
+			     onPError,function(successString) {
+			      onPResult(successString,username);
+			     });
   buttonP.disabled=true;
  }
 }
 
-function onPError(errorString) {
+function onPError(errorString,code) {
  document.getElementById("resultP").innerText=errorString;
  document.getElementById("buttonP").disabled=false;
  document.getElementById("profileWidgetDiv").innerHTML="";
   document.getElementById("buttonPSubmit").style.display="none"
+ focusErrorField(code,{
+  "AUTH_FAILED":"passwordInputP",
+  "SESSION_EXPIRED":"passwordInputP",
+ });
 }
 
-function onPResult(successString,username,password) {
+function onPResult(successString,username) {
  document.getElementById("resultP").innerHTML="";
  var submit=document.getElementById("buttonPSubmit");
  var outerDiv=document.getElementById("profileWidgetDiv");
@@ -97,7 +139,6 @@ function onPResult(successString,username,password) {
 				       ))
  document.getElementById("buttonP").disabled=false;
  submit.style.display="inline";
- submit["data-password"]=password;
  submit["data-username"]=username;
  submit["data-profile"]=successString;
  submit.disabled=true;
@@ -106,13 +147,13 @@ function onPResult(successString,username,password) {
 function onPSubmitClick() {
  var buttonPSubmit=document.getElementById("buttonPSubmit");
  if(!buttonPSubmit.disabled && buttonP.style.display!="none") {
-  var message=JSON.stringify({
+  var fields={
    "k":"setMyConfig",
-   "u":buttonPSubmit["data-username"],
-   "p":buttonPSubmit["data-password"],
    "d":buttonPSubmit["data-profile"],
-  })
-  sendAPIMessage(message,onPError,function() {
+  }
+  sendCredentialedAPIMessage(buttonPSubmit["data-username"],
+			     document.getElementById("passwordInputP").value,
+			     fields,onPError,function() {
    document.getElementById("buttonPSubmit").innerText="Submit";
   });
   document.getElementById("buttonPSubmit").disabled=true;
@@ -124,23 +165,185 @@ function onShutdownClick(clean) {
  var username=document.getElementById("usernameInputA").value;
  var password=document.getElementById("passwordInputA").value;
  var reason=document.getElementById("reasonInputA").value;
- var message=JSON.stringify({
+ sendCredentialedAPIMessage(username,password,{
   "k":clean?"cleanShutdown":"dirtyShutdown",
-  "u":username,
-  "p":password,
   "r":reason
- })
- sendAPIMessage(message,onShutdownError,onShutdownResult);
+ },onShutdownError,onShutdownResult);
 }
 
-function onShutdownError(errorString) {
+function onShutdownError(errorString,code) {
  document.getElementById("resultAdmin").innerText=errorString;
+ focusErrorField(code,ADMIN_ERROR_FIELDS);
 }
 
 function onShutdownResult(successString) {
  document.getElementById("resultAdmin").innerText=successString;
 }
 
+function sendAdminUserMessage(fields,success) {
+ fields["t"]=document.getElementById("targetInputA").value;
+ document.getElementById("resultUserAdmin").innerText="Wait...";
+ sendCredentialedAPIMessage(document.getElementById("usernameInputA").value,
+			    document.getElementById("passwordInputA").value,
+			    fields,onAdminUserError,
+			    success||onAdminUserResult);
+}
+
+function onAdminUserError(errorString,code) {
+ document.getElementById("resultUserAdmin").innerText=errorString;
+ focusErrorField(code,ADMIN_ERROR_FIELDS);
+}
+
+function onAdminUserResult(successString) {
+ document.getElementById("resultUserAdmin").innerText=successString;
+}
+
+function onAdminListUsersClick() {
+ sendAdminUserMessage({"k":"adminListUsers"},function(successString) {
+  var lines=JSON.parse(successString).map(function(entry) {
+   return entry.u+(entry.a?" (admin)":"")+
+    ("s" in entry?" [self-serve from "+entry.s+"]":"");
+  });
+  document.getElementById("userListAdmin").innerText=lines.join("\n");
+  document.getElementById("resultUserAdmin").innerText="";
+ });
+}
+
+function onAdminCreateUserClick() {
+ sendAdminUserMessage({
+  "k":"adminCreateUser",
+  "n":document.getElementById("newPasswordInputA").value,
+  "d":document.getElementById("configInputA").value,
+  "a":document.getElementById("adminCheckboxA").checked,
+ });
+}
+
+function onAdminDeleteUserClick() {
+ var target=document.getElementById("targetInputA").value;
+ if(confirm("Delete user "+target+"?")) {
+  sendAdminUserMessage({"k":"adminDeleteUser"});
+ }
+}
+
+function onAdminResetPasswordClick() {
+ sendAdminUserMessage({
+  "k":"adminResetPassword",
+  "n":document.getElementById("newPasswordInputA").value,
+ });
+}
+
+function onAdminGetUserConfigClick() {
+ sendAdminUserMessage({"k":"adminGetUserConfig"},function(successString) {
+  document.getElementById("configInputA").value=successString;
+  document.getElementById("resultUserAdmin").innerText="config loaded";
+ });
+}
+
+function onAdminSetUserConfigClick() {
+ sendAdminUserMessage({
+  "k":"adminSetUserConfig",
+  "d":document.getElementById("configInputA").value,
+ });
+}
+
+function onAdminSetAdminClick(admin) {
+ sendAdminUserMessage({"k":"adminSetAdmin","a":admin});
+}
+
+function onAdminRevokeSessionsClick() {
+ sendAdminUserMessage({"k":"adminRevokeSessions"});
+}
+
+function sendAdminInstanceMessage(fields,success) {
+ fields["n"]=document.getElementById("instanceInputA").value;
+ fields["r"]=document.getElementById("reasonInputA").value;
+ document.getElementById("resultInstanceAdmin").innerText="Wait...";
+ sendCredentialedAPIMessage(document.getElementById("usernameInputA").value,
+			    document.getElementById("passwordInputA").value,
+			    fields,onAdminInstanceError,
+			    success||onAdminInstanceResult);
+}
+
+function onAdminInstanceError(errorString,code) {
+ document.getElementById("resultInstanceAdmin").innerText=errorString;
+ focusErrorField(code,ADMIN_ERROR_FIELDS);
+}
+
+function onAdminInstanceResult(resultString) {
+ document.getElementById("resultInstanceAdmin").innerText=resultString;
+}
+
+function onAdminListInstancesClick() {
+ sendAdminInstanceMessage({"k":"adminListInstances"},function(successString) {
+  var lines=JSON.parse(successString).map(function(entry) {
+   return entry.n+" ("+entry.s+", "+entry.c+" connected)";
+  });
+  document.getElementById("instanceListAdmin").innerText=lines.join("\n");
+  document.getElementById("resultInstanceAdmin").innerText="";
+ });
+}
+
+function onAdminCreateInstanceClick() {
+ sendAdminInstanceMessage({
+  "k":"adminCreateInstance",
+  "y":document.getElementById("playsetInputA").value,
+ });
+}
+
+function onAdminResetInstanceClick() {
+ var name=document.getElementById("instanceInputA").value;
+ if(confirm("Reset instance "+name+"? Everyone in it will be kicked.")) {
+  sendAdminInstanceMessage({"k":"adminResetInstance"});
+ }
+}
+
+function onAdminRetireInstanceClick() {
+ var name=document.getElementById("instanceInputA").value;
+ if(confirm("Retire instance "+name+"? Everyone in it will be kicked.")) {
+  sendAdminInstanceMessage({"k":"adminRetireInstance"});
+ }
+}
+
+function sendCredentialedAPIMessage(username,password,fields,error,success) {
+ // a typed password is always what gets checked: the first time it trades
+ // it for a session token, after that it is sent as is. only an empty
+ // password field falls back on the cached token.
+ function sendWithCredentials(credentials,onError) {
+  var message={"u":username}
+  for(var k in credentials) { message[k]=credentials[k]; }
+  for(var k in fields) { message[k]=fields[k]; }
+  sendAPIMessage(JSON.stringify(message),onError,success);
+ }
+ function sendWithToken(token) {
+  sendWithCredentials({"s":token},function(errorString,code,details) {
+   if(code=="SESSION_EXPIRED") {
+    delete sessionTokens[username];
+   }
+   error(errorString,code,details);
+  });
+ }
+ function startSessionAndSend() {
+  var message=JSON.stringify({
+   "k":"startSession",
+   "u":username,
+   "p":password,
+  });
+  sendAPIMessage(message,error,function(token) {
+   sessionTokens[username]=token;
+   sendWithToken(token);
+  });
+ }
+ if(password==="" && sessionTokens[username]) {
+  sendWithToken(sessionTokens[username]);
+ }
+ else if(sessionTokens[username]) {
+  sendWithCredentials({"p":password},error);
+ }
+ else {
+  startSessionAndSend();
+ }
+}
+
 function sendAPIMessage(message,error,success) {
  var done=false;
  try {
@@ -163,8 +366,8 @@ function sendAPIMessage(message,error,success) {
     // API calls just return one message and end
     var message=JSON.parse(e.data);
     switch(message.k) {
-    case "E": error(message.e); break;
-    case "D": success(message.d); break;
+    case "E": error(message.e,message.c,message.x); break;
+    case "D": success(message.d,message.c,message.x); break;
     }
     done=true;
    });
@@ -178,3 +381,9 @@ function sendAPIMessage(message,error,success) {
  }
 }
 
+function focusErrorField(code,fieldIDs) {
+ // fieldIDs maps error codes to the id of the input at fault
+ if(code && (code in fieldIDs)) {
+  document.getElementById(fieldIDs[code]).focus();
+ }
+}